@@ -0,0 +1,53 @@
+// /functions/call_control.js  (ESM)
+// Call-control tools: hand the caller to a person, or hang up. They don't act
+// directly — they ask the bridge (ctx.callControl) to do it once the assistant
+// has finished speaking. Only offered to personas that list them in `tools`;
+// transfer targets come from the persona's `transfer_targets`.
+
+export const transferCallTool = {
+  type: "function",
+  name: "transfer_call",
+  description:
+    "Transfer the caller to a person or team. Tell the caller you are transferring them before calling this; " +
+    "the transfer happens when you finish speaking.",
+  parameters: {
+    type: "object",
+    properties: {
+      target: { type: "string", description: "Who to transfer to (one of the allowed targets)" },
+      reason: { type: "string", description: "Short reason for the transfer, for the call log" }
+    },
+    required: ["target"]
+  }
+};
+
+export const endCallTool = {
+  type: "function",
+  name: "end_call",
+  description:
+    "Hang up the call. Say goodbye before calling this; the call ends when you finish speaking.",
+  parameters: {
+    type: "object",
+    properties: {
+      reason: { type: "string", description: "Short reason for ending the call, for the call log" }
+    }
+  }
+};
+
+export async function transfer_call({ target, reason = "" }, ctx = {}) {
+  if (!ctx.callControl) throw new Error("Call control is not available on this call");
+  const targets = ctx.persona?.transferTargets || {};
+  const key = String(target || "").trim();
+  const dest = targets[key];
+  if (!dest) {
+    const names = Object.keys(targets);
+    throw new Error(names.length ? `Unknown transfer target "${key}". Allowed: ${names.join(", ")}` : "No transfer targets configured");
+  }
+  ctx.callControl.schedule({ action: "transfer", target: key, to: dest.to, reason: String(reason) });
+  return { scheduled: "transfer", target: key, note: "Transfer happens when you finish speaking. Do not say anything else." };
+}
+
+export async function end_call({ reason = "" }, ctx = {}) {
+  if (!ctx.callControl) throw new Error("Call control is not available on this call");
+  ctx.callControl.schedule({ action: "hangup", reason: String(reason) });
+  return { scheduled: "hangup", note: "The call ends when you finish speaking. Do not say anything else." };
+}
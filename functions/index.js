@@ -2,15 +2,26 @@
 // Registry of tools so server.js imports just one module.
 
 import { searchWebTool, search_web } from "./search_web.js";
+import { searchKnowledgeBaseTool, search_knowledge_base } from "./search_knowledge_base.js";
+import { transferCallTool, transfer_call, endCallTool, end_call } from "./call_control.js";
+import { requestKeypadEntryTool, request_keypad_entry } from "./keypad.js";
 
-export const TOOL_DEFS = [searchWebTool];
+export const TOOL_DEFS = [searchWebTool, searchKnowledgeBaseTool, transferCallTool, endCallTool, requestKeypadEntryTool];
+
+// Tools that act on the live call: a persona only gets these by listing them
+export const CALL_CONTROL_TOOLS = new Set(["transfer_call", "end_call"]);
 
 const RUNNERS = {
   search_web,
+  search_knowledge_base,
+  transfer_call,
+  end_call,
+  request_keypad_entry,
 };
 
-export async function runTool(name, args) {
+// ctx: per-call context for tools that need it ({ persona, sym, callControl, knowledge, keypad })
+export async function runTool(name, args, ctx = {}) {
   const fn = RUNNERS[name];
   if (!fn) throw new Error(`Unknown tool: ${name}`);
-  return await fn(args || {});
+  return await fn(args || {}, ctx);
 }
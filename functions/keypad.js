@@ -0,0 +1,37 @@
+// /functions/keypad.js  (ESM)
+// request_keypad_entry: the assistant asks the caller to type digits (an
+// account number, a PIN) instead of saying them. The tool only opens the
+// request on the bridge (ctx.keypad); the digits arrive later as a caller
+// message once the caller ends the entry, types them all, or times out. The
+// call transcript records only how many digits were entered.
+
+const MAX_DIGITS = 32;
+
+export const requestKeypadEntryTool = {
+  type: "function",
+  name: "request_keypad_entry",
+  description:
+    "Ask the caller to type digits on their phone keypad instead of saying them (account numbers, PINs, " +
+    "menu choices). After calling this, ask the caller to enter them and press # when done. The entry arrives " +
+    "as a caller message starting with [Keypad]. Never read the digits back aloud.",
+  parameters: {
+    type: "object",
+    properties: {
+      digits: { type: "integer", minimum: 1, maximum: MAX_DIGITS, description: "How many digits to collect (at most)" },
+      purpose: { type: "string", description: "What the digits are, e.g. \"account number\"" }
+    },
+    required: ["digits"]
+  }
+};
+
+export async function request_keypad_entry({ digits, purpose = "" }, ctx = {}) {
+  if (!ctx.keypad) throw new Error("Keypad entry is not available on this call");
+  const maxDigits = Math.trunc(Number(digits));
+  if (!(maxDigits >= 1 && maxDigits <= MAX_DIGITS)) throw new Error(`digits must be 1–${MAX_DIGITS}`);
+  ctx.keypad.request({ maxDigits, purpose: String(purpose).slice(0, 80) });
+  return {
+    waiting: true,
+    digits: maxDigits,
+    note: "Ask the caller to type it on their keypad and press # when done. Do not read the digits back aloud."
+  };
+}
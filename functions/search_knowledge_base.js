@@ -0,0 +1,33 @@
+// /functions/search_knowledge_base.js  (ESM)
+// Search this Sym's own documents (lib/knowledge index) for passages that
+// answer the caller's question. Passages are short enough to read out.
+
+export const searchKnowledgeBaseTool = {
+  type: "function",
+  name: "search_knowledge_base",
+  description:
+    "Search our product and service documents for the caller's question. Returns short passages with source ids, " +
+    "best first. Prefer this over search_web for questions about our products.",
+  parameters: {
+    type: "object",
+    properties: {
+      query: { type: "string", description: "The question or key words to look up" },
+      max_results: { type: "integer", minimum: 1, maximum: 5, default: 3 }
+    },
+    required: ["query"]
+  }
+};
+
+export async function search_knowledge_base({ query, max_results = 3 }, ctx = {}) {
+  if (!query || !String(query).trim()) throw new Error("Missing query");
+  if (!ctx.knowledge) throw new Error("Knowledge base is not available");
+  const limit = Math.max(1, Math.min(5, Number(max_results) || 3));
+  const { scope, results } = ctx.knowledge.search(ctx.sym || "", String(query), { limit });
+  return {
+    query,
+    scope,
+    hits: results.length,
+    results: results.map((r) => ({ source: r.id, title: r.title, section: r.section || undefined, text: r.text, score: r.score })),
+    ...(results.length ? {} : { note: "Nothing relevant in our documents. Say you don't know rather than guessing." })
+  };
+}
@@ -1,72 +1,161 @@
 // /functions/search_web.js  (ESM)
-// Fetch a web page and find a term; return short context snippets.
+// Fetch a public web page and return the passages that best match the search
+// terms. Pages go through lib/safe_fetch (no private addresses, size cap,
+// charset decoding) and, when persona.urlAllowlist is set, must match it.
+// Extracted text is cached per URL so repeat lookups in a call are instant.
+
+import { fetchPublicPage } from "../lib/safe_fetch.js";
+import { htmlToText, decodeEntities } from "../lib/html_text.js";
+import { createLru } from "../lib/lru.js";
+
+const MAX_BYTES = 1_000_000;   // response body cap (after decompression)
+const FETCH_TIMEOUT_MS = 6000; // under the bridge's tool timeout
+const SNIPPET_CHARS = 300;
+const PASSAGE_CHARS = 500;     // longer lines are split at sentence ends
+
+const cache = createLru({ max: 64, ttlMs: 10 * 60 * 1000 }); // url -> { url, title, text, truncated }
 
 export const searchWebTool = {
   type: "function",
   name: "search_web",
-  description: "Fetch a web page and find occurrences of a term. Returns short context snippets.",
+  description:
+    "Fetch a web page and find the passages that best match the search terms (whole words, " +
+    "ranked by how many terms they contain). Returns short snippets, best first.",
   parameters: {
     type: "object",
     properties: {
       url:  { type: "string", description: "Full URL to search (https://…)" },
-      term: { type: "string", description: "Word or phrase to look for (case-insensitive)" },
+      term: { type: "string", description: "Words to look for (case-insensitive); put an exact phrase in double quotes" },
       max_snippets: { type: "integer", minimum: 1, maximum: 10, default: 5 }
     },
     required: ["url", "term"]
   }
 };
 
-export async function search_web({ url, term, max_snippets = 5 }) {
-  if (!url || !term) throw new Error("Missing url or term");
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), 10000); // 10s timeout
+// persona.urlAllowlist entries: "example.com" (that host), "*.example.com"
+// (its subdomains), or a URL prefix "https://example.com/help/"
+export function urlAllowed(url, allowlist) {
+  if (!allowlist || !allowlist.length) return true;
+  const host = url.hostname.toLowerCase();
+  return allowlist.some((rule) => {
+    const r = rule.toLowerCase();
+    if (/^https?:\/\//.test(r)) return url.href.toLowerCase().startsWith(r);
+    if (r.startsWith("*.")) return host.endsWith(r.slice(1));
+    return host === r;
+  });
+}
 
-  const resp = await fetch(url, {
+const STOPWORDS = new Set(["a", "an", "the", "of", "to", "in", "on", "for", "and", "or", "is", "are", "what", "how", "do", "does", "with", "at", "by", "my", "your"]);
+
+// '"opening hours" saturday' -> ["opening hours", "saturday"]
+function parseTerms(term) {
+  const s = String(term).toLowerCase();
+  const phrases = [...s.matchAll(/"([^"]+)"/g)].map((m) => m[1].trim()).filter(Boolean);
+  const words = s.replace(/"[^"]*"/g, " ").split(/[^\p{L}\p{N}'’-]+/u).filter(Boolean);
+  const kept = words.filter((w) => !STOPWORDS.has(w));
+  return [...new Set([...phrases, ...(kept.length ? kept : words)])];
+}
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Whole-word, case-insensitive; phrase words may be separated by any whitespace
+const termRegex = (t) =>
+  new RegExp(`(?<![\\p{L}\\p{N}])${t.split(/\s+/).map(escapeRe).join("\\s+")}(?![\\p{L}\\p{N}])`, "giu");
+
+function splitPassages(text) {
+  const out = [];
+  for (const line of text.split("\n")) {
+    if (line.length <= PASSAGE_CHARS) { if (line.trim()) out.push(line.trim()); continue; }
+    let cur = "";
+    for (const sentence of line.split(/(?<=[.!?])\s+/)) {
+      if (cur && cur.length + sentence.length > PASSAGE_CHARS) { out.push(cur); cur = ""; }
+      cur = cur ? `${cur} ${sentence}` : sentence;
+    }
+    if (cur) out.push(cur);
+  }
+  return out;
+}
+
+// Window of ~SNIPPET_CHARS around the first match
+function snippetAround(passage, index) {
+  if (passage.length <= SNIPPET_CHARS) return passage;
+  const start = Math.max(0, Math.min(index - SNIPPET_CHARS / 3, passage.length - SNIPPET_CHARS));
+  const s = passage.slice(start, start + SNIPPET_CHARS);
+  return `${start > 0 ? "…" : ""}${s}${start + SNIPPET_CHARS < passage.length ? "…" : ""}`;
+}
+
+// Score = Σ idf · (1 + ln tf) over matched terms, scaled by the share of
+// terms matched, so passages with more distinct terms come first
+function rankPassages(passages, terms) {
+  const regs = terms.map(termRegex);
+  const hits = passages.map((p) => regs.map((re) => [...p.matchAll(re)].map((m) => m.index)));
+  const df = terms.map((_, t) => hits.filter((h) => h[t].length).length);
+  const idf = df.map((d) => Math.log(1 + passages.length / (1 + d)));
+
+  const ranked = [];
+  hits.forEach((h, i) => {
+    const matched = terms.filter((_, t) => h[t].length);
+    if (!matched.length) return;
+    let score = 0;
+    h.forEach((idx, t) => { if (idx.length) score += idf[t] * (1 + Math.log(idx.length)); });
+    score *= matched.length / terms.length;
+    const first = Math.min(...h.flat());
+    ranked.push({ i, score, matched, snippet: snippetAround(passages[i], first) });
+  });
+  return ranked.sort((a, b) => b.score - a.score || a.i - b.i);
+}
+
+async function loadPage(rawUrl, allowlist) {
+  let requested;
+  try { requested = new URL(rawUrl); } catch { throw new Error(`Invalid URL: ${rawUrl}`); }
+  const cached = cache.get(requested.href);
+  if (cached) {
+    if (!urlAllowed(requested, allowlist) || !urlAllowed(new URL(cached.url), allowlist)) {
+      throw new Error(`URL not allowed for this agent: ${requested.href}`);
+    }
+    return { ...cached, cached: true };
+  }
+
+  const page = await fetchPublicPage(requested.href, {
+    maxBytes: MAX_BYTES,
+    timeoutMs: FETCH_TIMEOUT_MS,
+    allowUrl: (u) => urlAllowed(u, allowlist),
     headers: {
       "User-Agent": "SmartFlows-CallAgent/1.0",
-      "Accept": "text/html,*/*"
-    },
-    redirect: "follow",
-    signal: controller.signal
-  }).catch(err => {
-    throw new Error(`Fetch failed: ${err.message}`);
+      "Accept": "text/html,application/xhtml+xml,text/plain;q=0.9,*/*;q=0.5"
+    }
   });
-  clearTimeout(timer);
 
-  if (!resp || !resp.ok) {
-    throw new Error(`HTTP ${resp?.status ?? "?"} fetching ${url}`);
-  }
+  const type = page.contentType.split(";")[0].trim().toLowerCase();
+  let title = "", text;
+  if (!type || type === "text/html" || type === "application/xhtml+xml") ({ title, text } = htmlToText(page.text));
+  else if (type.endsWith("xml")) text = decodeEntities(page.text.replace(/<[^>]+>/g, " "));
+  else if (type.startsWith("text/") || type.endsWith("json")) text = page.text;
+  else throw new Error(`Unsupported content type: ${type}`);
 
-  const html = await resp.text();
-
-  // Strip scripts/styles/tags, collapse whitespace
-  const text = html
-    .replace(/<script[\s\S]*?<\/script>/gi, " ")
-    .replace(/<style[\s\S]*?<\/style>/gi, " ")
-    .replace(/<[^>]+>/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-
-  const hay = text.toLowerCase();
-  const needle = String(term).toLowerCase();
-
-  const MAX = Math.max(1, Math.min(10, Number(max_snippets)));
-  const snippets = [];
-  let i = 0;
-
-  while (snippets.length < MAX) {
-    i = hay.indexOf(needle, i);
-    if (i === -1) break;
-    const start = Math.max(0, i - 80);
-    const end   = Math.min(text.length, i + needle.length + 80);
-    snippets.push(text.slice(start, end));
-    i += needle.length;
-  }
+  const entry = { url: page.url, title, text, truncated: page.truncated };
+  cache.set(requested.href, entry);
+  return { ...entry, cached: false };
+}
+
+export async function search_web({ url, term, max_snippets = 5 }, ctx = {}) {
+  if (!url || !term) throw new Error("Missing url or term");
+  const terms = parseTerms(term);
+  if (!terms.length) throw new Error("No search words in term");
+
+  const page = await loadPage(url, ctx.persona?.urlAllowlist);
+  const MAX = Math.max(1, Math.min(10, Number(max_snippets) || 5));
+  const ranked = rankPassages(splitPassages(page.text), terms);
 
   return {
-    url,
+    url: page.url,
+    title: page.title,
     term,
-    hits: snippets.length,
-    snippets
+    terms,
+    hits: ranked.length,
+    snippets: ranked.slice(0, MAX).map((r) => r.snippet),
+    matched_terms: ranked.slice(0, MAX).map((r) => r.matched),
+    truncated: page.truncated,
+    cached: page.cached
   };
 }
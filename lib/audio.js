@@ -0,0 +1,243 @@
+// /lib/audio.js  (ESM)
+// Codecs and resampling shared by the bridge core and the transport adapters.
+//
+// - G.711 μ-law / A-law encode + decode
+// - Polyphase rational resampler (8 ↔ 16 ↔ 24 ↔ 48 kHz, any integer ratio),
+//   streaming: filter history and output phase carry across chunks
+// - Input converters: carrier codec/rate -> OpenAI input format
+// Assistant audio is queued as 20 ms PCM16 frames at the carrier's rate for
+// the adapters to encode.
+
+export const FRAME_MS = 20;
+export const frameSamples = (rate) => (rate * FRAME_MS) / 1000;
+
+// ---------- G.711 ----------
+export function pcm16ToMuLaw(int16) {
+  const BIAS = 0x84, CLIP = 32635;
+  const out = new Uint8Array(int16.length);
+  for (let i = 0; i < int16.length; i++) {
+    let pcm = int16[i];
+    const sign = (pcm >> 8) & 0x80;
+    if (pcm < 0) pcm = -pcm;
+    if (pcm > CLIP) pcm = CLIP;
+    pcm += BIAS;
+    let exp = 7;
+    for (let m = 0x4000; (pcm & m) === 0 && exp > 0; exp--, m >>= 1) {}
+    const man = (pcm >> (exp + 3)) & 0x0f;
+    out[i] = ~(sign | (exp << 4) | man) & 0xff;
+  }
+  return out;
+}
+
+export function muLawToPcm16(u8) {
+  const out = new Int16Array(u8.length);
+  for (let i = 0; i < u8.length; i++) {
+    const u = ~u8[i] & 0xff;
+    const exp = (u >> 4) & 0x07;
+    const man = u & 0x0f;
+    const mag = (((man << 3) + 0x84) << exp) - 0x84;
+    out[i] = u & 0x80 ? -mag : mag;
+  }
+  return out;
+}
+
+// A-law segment end points (13-bit magnitude)
+const ALAW_SEG_END = [0x1f, 0x3f, 0x7f, 0xff, 0x1ff, 0x3ff, 0x7ff, 0xfff];
+
+export function pcm16ToALaw(int16) {
+  const out = new Uint8Array(int16.length);
+  for (let i = 0; i < int16.length; i++) {
+    let pcm = int16[i] >> 3; // 16-bit -> 13-bit
+    let mask;
+    if (pcm >= 0) mask = 0xd5;
+    else { mask = 0x55; pcm = -pcm - 1; }
+    let seg = 0;
+    while (seg < 8 && pcm > ALAW_SEG_END[seg]) seg++;
+    if (seg >= 8) { out[i] = 0x7f ^ mask; continue; }
+    const aval = (seg << 4) | ((seg < 2 ? pcm >> 1 : pcm >> seg) & 0x0f);
+    out[i] = aval ^ mask;
+  }
+  return out;
+}
+
+export function aLawToPcm16(u8) {
+  const out = new Int16Array(u8.length);
+  for (let i = 0; i < u8.length; i++) {
+    const a = u8[i] ^ 0x55;
+    let t = (a & 0x0f) << 4;
+    const seg = (a & 0x70) >> 4;
+    if (seg === 0) t += 8;
+    else t = (t + 0x108) << (seg - 1);
+    out[i] = a & 0x80 ? t : -t;
+  }
+  return out;
+}
+
+export const b64ToU8 = (b64) => new Uint8Array(Buffer.from(b64, "base64"));
+export const u8ToB64  = (u8)  => Buffer.from(u8.buffer, u8.byteOffset, u8.byteLength).toString("base64");
+
+// Little-endian PCM16 bytes <-> Int16Array (copies when unaligned)
+export function bytesToPcm16(buf) {
+  const b = Buffer.from(buf.buffer, buf.byteOffset, buf.byteLength - (buf.byteLength % 2));
+  if (b.byteOffset % 2 === 0) return new Int16Array(b.buffer, b.byteOffset, b.byteLength / 2);
+  return new Int16Array(new Uint8Array(b).buffer);
+}
+export const pcm16ToBytes = (int16) => Buffer.from(int16.buffer, int16.byteOffset, int16.byteLength);
+
+// ---------- FIR low-pass (windowed sinc) ----------
+export function designLowpassFIR(taps, cutoffHz, srHz) {
+  // Windowed-sinc (Blackman)
+  const N = taps;
+  const fc = cutoffHz / srHz; // 0..0.5
+  const a0 = 0.42, a1 = 0.5, a2 = 0.08;
+  const h = new Float32Array(N);
+  let sum = 0;
+  for (let n = 0; n < N; n++) {
+    const m = n - (N - 1) / 2;
+    const sinc = m === 0 ? 2 * Math.PI * fc : Math.sin(2 * Math.PI * fc * m) / m;
+    const w = a0 - a1 * Math.cos((2 * Math.PI * n) / (N - 1)) + a2 * Math.cos((4 * Math.PI * n) / (N - 1));
+    const v = w * sinc;
+    h[n] = v;
+    sum += v;
+  }
+  for (let n = 0; n < N; n++) h[n] /= sum || 1; // DC normalise
+  return h;
+}
+
+// Streaming decimator: low-pass then keep every `factor`th sample.
+// State (filter history + sub-factor remainder) carries across chunks.
+export function makeFirDecimator({ factor, srIn, cutoffHz, taps }) {
+  const H = designLowpassFIR(taps, cutoffHz, srIn);
+  let keep = new Float32Array(0); // carry over (taps-1 + remainder<factor)
+
+  return function decimate(int16In) {
+    const x = new Float32Array(keep.length + int16In.length);
+    if (keep.length) x.set(keep, 0);
+    for (let i = 0; i < int16In.length; i++) x[keep.length + i] = int16In[i];
+
+    const need = taps - 1;
+    const avail = x.length - need;
+    if (avail <= 0) { keep = x; return new Int16Array(0); }
+
+    const outCount = Math.floor(avail / factor);
+    const y = new Int16Array(outCount);
+    let pos = need;
+
+    for (let o = 0; o < outCount; o++, pos += factor) {
+      let acc = 0;
+      for (let k = 0; k < taps; k++) acc += H[k] * x[pos - k];
+      y[o] = Math.max(-32768, Math.min(32767, Math.round(acc)));
+    }
+
+    const consumed = outCount * factor;
+    const remain = avail - consumed; // 0..factor-1
+    const keepLen = need + remain;
+    keep = x.subarray(x.length - keepLen);
+    return y;
+  };
+}
+
+// 24 kHz (OpenAI out) -> 8 kHz, the original direct-form design; kept as the
+// reference the polyphase resampler is tested against
+export function makeDecimatorBy3_24kTo8k() {
+  return makeFirDecimator({ factor: 3, srIn: 24000, cutoffHz: 3400, taps: 63 });
+}
+
+const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+
+// Polyphase rational resampler fromHz -> toHz (L/M = toHz/fromHz in lowest
+// terms). The prototype low-pass (≈ quality·max(L, M) taps) runs at fromHz·L
+// with its cut-off at 85% of the lower Nyquist; it is split into L phases so
+// each output only touches the taps that meet non-zero (real) inputs.
+export function makeResampler(fromHz, toHz, { quality = 32, cutoffHz } = {}) {
+  if (fromHz === toHz) return (int16In) => int16In;
+  const g = gcd(fromHz, toHz);
+  const L = toHz / g, M = fromHz / g;
+  const K = Math.ceil((quality * Math.max(L, M)) / L); // taps per phase
+  const H = designLowpassFIR(K * L, cutoffHz ?? 0.425 * Math.min(fromHz, toHz), fromHz * L);
+
+  // phases[p][k] = L·H[p + kL] (gain L restores level after zero-stuffing)
+  const phases = [];
+  for (let p = 0; p < L; p++) {
+    const c = new Float32Array(K);
+    for (let k = 0; k < K; k++) c[k] = L * H[p + k * L];
+    phases.push(c);
+  }
+
+  let hist = new Float32Array(K - 1); // last K-1 inputs
+  let t = 0; // next output's position in the up-sampled domain, from chunk start
+
+  return function resample(int16In) {
+    const n = int16In.length;
+    const x = new Float32Array(hist.length + n);
+    x.set(hist, 0);
+    for (let i = 0; i < n; i++) x[hist.length + i] = int16In[i];
+
+    const outLen = Math.max(0, Math.ceil((n * L - t) / M));
+    const y = new Int16Array(outLen);
+    for (let o = 0; o < outLen; o++, t += M) {
+      const i = Math.floor(t / L);
+      const c = phases[t - i * L];
+      const base = hist.length + i;
+      let acc = 0;
+      for (let k = 0; k < K; k++) acc += c[k] * x[base - k];
+      y[o] = Math.max(-32768, Math.min(32767, Math.round(acc)));
+    }
+    t -= n * L;
+    hist = x.slice(x.length - (K - 1));
+    return y;
+  };
+}
+
+// Carrier audio (codec/rate) -> bytes for OpenAI's input_audio_format.
+// G.711 formats pass straight through when they match; "pcm16" is 24 kHz.
+export function makeInputConverter({ codec, rate }, target) {
+  if (codec === target && (codec !== "pcm16" || rate === 24000)) return (bytes) => bytes;
+  if (target !== "pcm16") throw new Error(`Cannot convert ${codec} to ${target}`);
+  const resample = makeResampler(rate, 24000);
+  return (bytes) => pcm16ToBytes(resample(decodeFrame(codec, bytes)));
+}
+
+// Carrier codec bytes -> PCM16 at the carrier's rate
+export function decodeFrame(codec, bytes) {
+  if (codec === "g711_ulaw") return muLawToPcm16(bytes);
+  if (codec === "g711_alaw") return aLawToPcm16(bytes);
+  return bytesToPcm16(bytes);
+}
+
+// One outbound PCM16 frame -> carrier codec bytes
+export function encodeFrame(codec, int16) {
+  if (codec === "g711_ulaw") return pcm16ToMuLaw(int16);
+  if (codec === "g711_alaw") return pcm16ToALaw(int16);
+  return pcm16ToBytes(int16);
+}
+
+// Fixed-size frame packer: chunks in, whole frames pushed to `out`, the
+// remainder kept for the next chunk. Works for Uint8Array and Int16Array.
+export function makeFramer(frameLen, ArrayType) {
+  let remainder = new ArrayType(0);
+  return function flushFrames(chunk, out) {
+    const combined = new ArrayType(remainder.length + chunk.length);
+    combined.set(remainder, 0);
+    combined.set(chunk, remainder.length);
+    let off = 0;
+    while (off + frameLen <= combined.length) {
+      out.push(combined.subarray(off, off + frameLen));
+      off += frameLen;
+    }
+    remainder = combined.subarray(off);
+  };
+}
+
+// Sine tone as 20 ms PCM16 frames at `rate`
+export function toneFrames(freqHz, ms, amplitude, rate = 8000) {
+  const size = frameSamples(rate);
+  const total = Math.floor((ms / FRAME_MS)) * size;
+  const pcm = new Int16Array(total);
+  for (let i = 0; i < total; i++) {
+    pcm[i] = Math.round(Math.sin(2 * Math.PI * freqHz * (i / rate)) * amplitude);
+  }
+  const frames = [];
+  for (let i = 0; i < total; i += size) frames.push(pcm.subarray(i, i + size));
+  return frames;
+}
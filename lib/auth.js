@@ -0,0 +1,20 @@
+// /lib/auth.js  (ESM)
+// Bearer API-key check for the bridge's REST routes.
+
+import crypto from "node:crypto";
+
+export function safeEqual(a, b) {
+  const x = Buffer.from(String(a)), y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// Express middleware: `Authorization: Bearer <key>`. With no key configured
+// the routes are disabled (503) rather than left open.
+export function bearerAuth(key, label = "API") {
+  return (req, res, next) => {
+    if (!key) return res.status(503).json({ error: `${label} disabled: no key configured` });
+    const m = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "");
+    if (!m || !safeEqual(m[1].trim(), key)) return res.status(401).json({ error: "Unauthorized" });
+    next();
+  };
+}
@@ -0,0 +1,1607 @@
+// /lib/bridge.js  (ESM)
+// The bridge as a factory: HTTP routes, the /stream upgrade and one OpenAI
+// Realtime session per call. server.js builds the options from the
+// environment (see its header); tests point openaiUrl at a local mock.
+//
+//   const bridge = await createBridge({ openaiApiKey, personaDir, kbDir });
+//   await bridge.listen(8080);
+//   …
+//   await bridge.close();
+
+import http from "node:http";
+import express from "express";
+import WebSocket, { WebSocketServer } from "ws";
+import { runTool } from "../functions/index.js";
+import { makePlaybackTracker } from "./playback.js";
+import { createTranscript } from "./transcript.js";
+import { postJsonWebhook } from "./webhook.js";
+import { createPersonaRegistry, greetingFor, localise } from "./personas.js";
+import { detectLocale } from "./locales.js";
+import { buildSessionConfig, toolAllowed } from "./session.js";
+import { createTwilioClient, sayAndHangupTwiml, streamTwiml, dialTwiml, hangupTwiml } from "./twilio.js";
+import { createCallStore, FINAL_STATUSES } from "./calls.js";
+import { createLiveCallRegistry } from "./live_calls.js";
+import { parseScenario, runSimulation } from "./simulate.js";
+import { bearerAuth } from "./auth.js";
+import { createKnowledgeBase } from "./knowledge.js";
+import { log as rootLog } from "./log.js";
+import { createMetricsRegistry } from "./metrics.js";
+import { createCallRecorder, startRecordingCleanup } from "./recorder.js";
+import {
+  createStreamGuard, signStreamToken, CLOSE_TRY_AGAIN_LATER, CLOSE_POLICY_VIOLATION
+} from "./stream_auth.js";
+import {
+  frameSamples, u8ToB64, bytesToPcm16, makeResampler, makeFramer, makeInputConverter, toneFrames, decodeFrame
+} from "./audio.js";
+import { transportForRequest, createTransport } from "./transports/index.js";
+import { createDtmfCollector, keypadText } from "./dtmf.js";
+import { createNoInputTimer } from "./no_input.js";
+
+export const DEFAULT_OPENAI_URL = "wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview";
+
+const REPLAY_TURNS = 10; // transcript turns replayed into a reconnected session
+const STATUS_POLL_MS = 2000; // min gap between Twilio status lookups per call
+const CALL_ACTION_MAX_WAIT_MS = 15000; // transfer/hang-up even if playback never drains
+const OUTBOUND_TOKEN_TTL_SEC = 600; // covers queueing + ringing before the stream opens
+const HEALTH_MAX_OPENAI_FAILURES = 3; // consecutive failed OpenAI connects before /healthz is 503
+const SHUTDOWN_GOODBYE_MAX_MS = 8000; // past the drain deadline: close even if the goodbye is still playing
+const POST_CALL_WAIT_MS = 3000; // drain/close: least time left for recordings and webhooks of ended calls
+const CLOSE_GOING_AWAY = 1001;
+const SSE_KEEPALIVE_MS = 15000; // comment line on idle live-transcript streams (proxies drop silent ones)
+const SUPERVISOR_SAY_MAX_CHARS = 1000;
+const LANGUAGE_DETECT_TURNS = 2; // caller transcripts tried before keeping the persona's locale
+const E164 = /^\+[1-9]\d{6,14}$/;
+
+// Options mirror the ENV list in server.js (camelCased). twilioClient replaces
+// the Twilio REST client; log replaces the root logger for bridge lines.
+export async function createBridge({
+  openaiApiKey,
+  openaiUrl = DEFAULT_OPENAI_URL,
+  symApiUrl = "",
+  symApiKey = "",
+  toolTimeoutMs = 8000,
+  webhookUrl = "",
+  webhookSecret = "",
+  personaSource = "dir",
+  personaDir = "",
+  personaRefreshMs = 60000,
+  openaiReconnectAttempts = 4,
+  openaiInputFormat = "auto",
+  callsApiKey = "",
+  twilioFromNumber = "",
+  publicBaseUrl = "",
+  kbDir = "",
+  adminApiKey = "",
+  twilioAccountSid = "",
+  twilioAuthToken = "",
+  twilioClient = null,
+  streamTokenSecret = "",
+  streamAuth = "auto",
+  maxConcurrentCalls = 50,
+  maxCallsPerSource = 0,
+  trustProxy = false,
+  recordingDir = "recordings",
+  recordingRetentionDays = 30,
+  log = rootLog
+} = {}) {
+  if (!openaiApiKey) throw new Error("Missing OPENAI_API_KEY");
+  publicBaseUrl = publicBaseUrl.replace(/\/+$/, "");
+
+  const twilio = twilioClient || createTwilioClient({ accountSid: twilioAccountSid, authToken: twilioAuthToken });
+
+  // ---- /stream admission (signature / token, concurrency limits) ----
+  const streamGuard = createStreamGuard({
+    twilioAuthToken,
+    tokenSecret: streamTokenSecret,
+    publicBaseUrl,
+    enforce: streamAuth === "auto" && Boolean(twilioAuthToken || streamTokenSecret),
+    maxCalls: maxConcurrentCalls,
+    maxPerSource: maxCallsPerSource,
+    trustProxy
+  });
+  if (!streamGuard.enforced) log.warn("/stream is unauthenticated (set TWILIO_AUTH_TOKEN or STREAM_TOKEN_SECRET)");
+
+  // ---- Personas (pmpt → instructions, voice, greeting, VAD, tools) ----
+  const personas = createPersonaRegistry({
+    source: personaSource,
+    dir: personaDir,
+    apiUrl: symApiUrl,
+    apiKey: symApiKey,
+    refreshMs: personaRefreshMs
+  });
+  await personas.start();
+
+  // ---- Knowledge base (search_knowledge_base; one BM25 index per sym) ----
+  const knowledge = createKnowledgeBase({ dir: kbDir });
+  await knowledge.build().catch(() => {}); // logged; calls still work without it
+
+  // ---- Recordings (retention sweep at startup, then hourly; 0 days = keep) ----
+  const recordingCleanup = recordingRetentionDays > 0
+    ? startRecordingCleanup({ dir: recordingDir, maxAgeMs: recordingRetentionDays * 86400000, log })
+    : { stop() {} };
+
+  // ---------- metrics ----------
+  // Live calls register here so scrape-time gauges, draining and the
+  // supervisor routes can reach them
+  const activeCalls = createLiveCallRegistry(); // { id, transport, queueDepth(), shutdown(), info(), transcript, supervise }
+  const startedAt = Date.now();
+  const openaiHealth = { lastOkAt: 0, lastErrorAt: 0, lastError: "", consecutiveFailures: 0 };
+
+  const metrics = createMetricsRegistry({ prefix: "bridge_" });
+  metrics.gauge("active_calls", "Calls currently connected", ["transport"], {
+    collect: () => {
+      const by = {};
+      for (const c of activeCalls) by[c.transport] = (by[c.transport] || 0) + 1;
+      return Object.entries(by).map(([transport, n]) => [{ transport }, n]);
+    }
+  });
+  metrics.gauge("outbound_queue_frames", "20 ms assistant audio frames waiting to be sent, over all calls", [], {
+    collect: () => [[{}, [...activeCalls].reduce((n, c) => n + c.queueDepth(), 0)]]
+  });
+  metrics.gauge("outbound_queue_frames_max", "Deepest outbound audio queue of any call", [], {
+    collect: () => [[{}, Math.max(0, ...[...activeCalls].map((c) => c.queueDepth()))]]
+  });
+  const callsTotal = metrics.counter("calls_total", "Calls finished, by how they ended", ["transport", "reason"]);
+  const callDuration = metrics.histogram("call_duration_seconds", "Call length, caller connect to end", {
+    buckets: [10, 30, 60, 120, 300, 600, 1200, 1800, 3600], labelNames: ["transport"]
+  });
+  const openaiConnectSeconds = metrics.histogram("openai_connect_seconds", "Time to open the OpenAI Realtime socket", {
+    buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10]
+  });
+  const responseLatency = metrics.histogram("response_latency_seconds", "Caller end of speech to the reply's first audio frame sent to the carrier", {
+    buckets: [0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 10]
+  });
+  const toolSeconds = metrics.histogram("tool_call_seconds", "Tool call latency", {
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 4, 8, 15], labelNames: ["tool", "outcome"]
+  });
+  const errorsTotal = metrics.counter("errors_total", "Errors by type", ["type"]);
+  const simulationsTotal = metrics.counter("simulations_total", "Text-only persona simulations", ["outcome"]);
+  const localeSwitches = metrics.counter("locale_switches_total", "Calls switched to the caller's detected language", ["locale"]);
+  const supervisorActions = metrics.counter("supervisor_actions_total", "Admin API actions on live calls", ["action"]);
+  const streamRejections = metrics.counter("stream_rejections_total", "/stream sessions refused", ["reason"]);
+  metrics.gauge("draining", "1 while the bridge is draining calls before shutdown", [], {
+    collect: () => [[{}, draining ? 1 : 0]]
+  });
+
+  // ---------- draining (deploys) ----------
+  // drain() stops new calls (healthz 503, /stream and POST /calls refused) and
+  // lets live ones finish. At the deadline each remaining call says the
+  // persona's shutdown goodbye and both of its sockets are closed. It resolves
+  // once every call is gone and their recordings and webhooks are done (or
+  // have had until the deadline, and at least POST_CALL_WAIT_MS).
+  let draining = null; // { since, deadlineAt, timer, done, resolve, settling }
+  const pendingFinishes = new Set(); // post-call work (recording, webhook) per ended call
+
+  function trackFinish(work) {
+    const settled = work.catch(() => {}).then(() => { pendingFinishes.delete(settled); });
+    pendingFinishes.add(settled);
+  }
+
+  // -> resolves when post-call work is done, or after ms regardless
+  function settleFinishes(ms) {
+    if (!pendingFinishes.size) return Promise.resolve();
+    let timer = null;
+    const giveUp = new Promise((resolve) => {
+      timer = setTimeout(() => {
+        log.warn("Post-call work still running; not waiting for it", { calls: pendingFinishes.size });
+        resolve();
+      }, ms);
+    });
+    return Promise.race([Promise.all(pendingFinishes), giveUp]).finally(() => clearTimeout(timer));
+  }
+
+  function drain({ deadlineMs = 25000 } = {}) {
+    if (draining) return draining.done;
+    let resolve;
+    const done = new Promise((r) => { resolve = r; });
+    draining = { since: Date.now(), deadlineAt: Date.now() + deadlineMs, timer: null, done, resolve };
+    log.info("Draining", { activeCalls: activeCalls.size, deadlineMs });
+    draining.timer = setTimeout(() => {
+      if (!activeCalls.size) return;
+      log.warn("Drain deadline reached; ending calls", { activeCalls: activeCalls.size });
+      for (const c of activeCalls) c.shutdown();
+    }, deadlineMs);
+    checkDrained();
+    return done;
+  }
+
+  function checkDrained() {
+    if (!draining || activeCalls.size || draining.settling) return;
+    draining.settling = true;
+    clearTimeout(draining.timer);
+    settleFinishes(Math.max(draining.deadlineAt - Date.now(), POST_CALL_WAIT_MS)).then(() => {
+      log.info("Drained", { ms: Date.now() - draining.since });
+      draining.resolve();
+    });
+  }
+
+  // ---------- HTTP (health, metrics) ----------
+  const app = express();
+
+  // 503 once OpenAI has refused several connects in a row (no success since),
+  // and while draining so the load balancer stops sending calls here
+  app.get("/healthz", (_, res) => {
+    const openaiDown = openaiHealth.consecutiveFailures >= HEALTH_MAX_OPENAI_FAILURES;
+    const iso = (t) => (t ? new Date(t).toISOString() : null);
+    res.status(openaiDown || draining ? 503 : 200).json({
+      status: draining ? "draining" : openaiDown ? "degraded" : "ok",
+      uptime_s: Math.round((Date.now() - startedAt) / 1000),
+      active_calls: activeCalls.size,
+      draining: draining ? { since: iso(draining.since), deadline: iso(draining.deadlineAt) } : undefined,
+      openai: {
+        last_connect_ok: iso(openaiHealth.lastOkAt),
+        last_connect_error: iso(openaiHealth.lastErrorAt),
+        last_error: openaiHealth.lastError || null,
+        consecutive_failures: openaiHealth.consecutiveFailures
+      },
+      knowledge: knowledge.stats()
+    });
+  });
+
+  app.get("/metrics", (_, res) => {
+    res.type("text/plain; version=0.0.4").send(metrics.render());
+  });
+
+  // ---------- outbound calls (POST /calls, GET /calls/:id) ----------
+  const calls = createCallStore();
+
+  // wss://<public host>/stream — where Twilio should open the media stream
+  function streamUrlFor(req) {
+    const base = publicBaseUrl || `${req.get("x-forwarded-proto") || req.protocol}://${req.get("host")}`;
+    return base.replace(/^http/, "ws") + "/stream";
+  }
+
+  app.post("/calls", bearerAuth(callsApiKey, "Calls API"), express.json({ limit: "32kb" }), async (req, res) => {
+    const b = req.body || {};
+    const str = (v) => (typeof v === "string" ? v.trim() : "");
+    const to = str(b.to), from = str(b.from) || twilioFromNumber;
+    if (!E164.test(to)) return res.status(400).json({ error: "\"to\" must be an E.164 number, e.g. +447700900123" });
+    if (!E164.test(from)) return res.status(400).json({ error: "\"from\" (or TWILIO_FROM_NUMBER) must be an E.164 number" });
+    if (!twilio.configured) return res.status(503).json({ error: "Twilio credentials not configured" });
+    if (draining) return res.status(503).json({ error: "Server is shutting down; try again shortly" });
+
+    const params = { pmpt: str(b.pmpt), sym: str(b.sym), inst: str(b.inst), locale: str(b.locale) };
+    if (typeof b.record === "boolean") params.record = String(b.record);
+    // Twilio signs the upgrade too; the token also survives proxies that rewrite the URL
+    const token = streamTokenSecret ? signStreamToken(streamTokenSecret, { ttlSec: OUTBOUND_TOKEN_TTL_SEC, sub: "outbound" }) : "";
+    const twiml = streamTwiml(streamUrlFor(req), { ...params, token });
+    try {
+      const created = await twilio.createCall({ to, from, twiml });
+      const rec = calls.add({ id: created.sid, to, from, params, status: created.status || "queued" });
+      log.info("Outbound call placed", { callSid: rec.id, to, pmpt: params.pmpt || undefined });
+      res.status(201).json(calls.toJSON(rec));
+    } catch (e) {
+      errorsTotal.inc({ type: "twilio_api" });
+      log.error("Outbound call failed", { to, error: e?.message || String(e) });
+      res.status(502).json({ error: e?.message || "Twilio request failed" });
+    }
+  });
+
+  app.get("/calls/:id", bearerAuth(callsApiKey, "Calls API"), async (req, res) => {
+    const rec = calls.get(req.params.id);
+    if (!rec) return res.status(404).json({ error: "Unknown call" });
+    // Refresh the carrier status while the call can still change
+    if (!FINAL_STATUSES.has(rec.status) && Date.now() - rec.statusCheckedAt > STATUS_POLL_MS) {
+      try { calls.setStatus(rec.id, (await twilio.fetchCall(rec.id)).status); }
+      catch (e) {
+        errorsTotal.inc({ type: "twilio_api" });
+        log.warn("Call status lookup failed", { callSid: rec.id, error: e?.message || String(e) });
+      }
+    }
+    res.json(calls.toJSON(rec));
+  });
+
+  // ---------- admin ----------
+  app.post("/admin/kb/reindex", bearerAuth(adminApiKey, "Admin API"), async (_, res) => {
+    try {
+      const { syms, ms } = await knowledge.build();
+      res.json({ ok: true, syms, ms });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e?.message || String(e), ...knowledge.stats() });
+    }
+  });
+
+  // Short-lived /stream token for browser clients or other carriers
+  app.post("/admin/stream-token", bearerAuth(adminApiKey, "Admin API"), express.json({ limit: "4kb" }), (req, res) => {
+    if (!streamTokenSecret) return res.status(503).json({ error: "STREAM_TOKEN_SECRET not configured" });
+    const ttlSec = Math.max(10, Math.min(3600, Number(req.body?.ttl_sec) || 300));
+    const sub = typeof req.body?.sub === "string" ? req.body.sub.slice(0, 100) : "";
+    const token = signStreamToken(streamTokenSecret, { ttlSec, sub });
+    res.json({ token, expires_at: new Date(Date.now() + ttlSec * 1000).toISOString() });
+  });
+
+  // ---------- live calls (supervisor) ----------
+  // List calls on this instance, follow one's transcript (SSE), and steer it:
+  // new instructions (session.update), a line the assistant says next, or
+  // ending the call. :id is the bridge's call id, a CallSid or a streamSid.
+  const adminAuth = bearerAuth(adminApiKey, "Admin API");
+
+  function liveCall(req, res, next) {
+    req.liveCall = activeCalls.get(req.params.id);
+    if (!req.liveCall) return res.status(404).json({ error: "No live call with that id" });
+    next();
+  }
+
+  // Supervise methods throw when the call can't take the action (409)
+  function supervise(action, run) {
+    return (req, res) => {
+      try { run(req.liveCall.supervise, req.body || {}); }
+      catch (e) { return res.status(409).json({ error: e?.message || String(e) }); }
+      supervisorActions.inc({ action });
+      res.json(req.liveCall.info());
+    };
+  }
+
+  app.get("/admin/calls", adminAuth, (_, res) => {
+    res.json({ calls: [...activeCalls].map((c) => c.info()) });
+  });
+
+  app.get("/admin/calls/:id", adminAuth, liveCall, (req, res) => {
+    res.json({ ...req.liveCall.info(), transcript: req.liveCall.transcript.toJSON() });
+  });
+
+  // Server-sent events: "call" (info), every turn so far, then turns as they
+  // complete or change ("turn", upsert by itemId / callId), "end" at the end
+  app.get("/admin/calls/:id/transcript", adminAuth, liveCall, (req, res) => {
+    const call = req.liveCall;
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no"
+    });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    const finish = () => {
+      send("end", { reason: call.info().endReason });
+      res.end();
+    };
+    send("call", call.info());
+    for (const turn of call.transcript.toJSON().turns) send("turn", turn);
+    if (call.transcript.ended()) return finish();
+
+    const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), SSE_KEEPALIVE_MS);
+    const unsubscribe = call.transcript.subscribe((type, turn) => {
+      if (type === "turn") return send("turn", turn);
+      clearInterval(keepAlive);
+      finish();
+    });
+    req.on("close", () => {
+      clearInterval(keepAlive);
+      unsubscribe();
+    });
+  });
+
+  // { instructions } replaces the supervisor section of the session instructions ("" clears it)
+  app.post("/admin/calls/:id/instructions", adminAuth, express.json({ limit: "32kb" }), liveCall, (req, res, next) => {
+    if (typeof req.body?.instructions !== "string") return res.status(400).json({ error: "\"instructions\" must be a string" });
+    next();
+  }, supervise("instructions", (call, b) => call.instructions(b.instructions.trim())));
+
+  // { text, interrupt? } — said next, after the current reply unless interrupt is true
+  app.post("/admin/calls/:id/say", adminAuth, express.json({ limit: "8kb" }), liveCall, (req, res, next) => {
+    const text = typeof req.body?.text === "string" ? req.body.text.trim() : "";
+    if (!text || text.length > SUPERVISOR_SAY_MAX_CHARS) {
+      return res.status(400).json({ error: `"text" must be 1-${SUPERVISOR_SAY_MAX_CHARS} characters` });
+    }
+    next();
+  }, supervise("say", (call, b) => call.say(b.text.trim(), { interrupt: b.interrupt === true })));
+
+  // { goodbye? } — said first when given; otherwise the call ends straight away
+  app.post("/admin/calls/:id/end", adminAuth, express.json({ limit: "8kb" }), liveCall,
+    supervise("end", (call, b) => call.end({ goodbye: typeof b.goodbye === "string" ? b.goodbye.trim() : "" })));
+
+  // ---------- simulation (text only) ----------
+  // Runs a scenario (lib/simulate.js) against its persona without a phone
+  // call -> the replies, tool calls, expectation failures and transcript
+  app.post("/admin/simulate", adminAuth, express.json({ limit: "256kb" }), async (req, res) => {
+    let scenario;
+    try { scenario = parseScenario(req.body); }
+    catch (e) { return res.status(400).json({ error: e.message }); }
+    const persona = localise(personas.get(scenario.pmpt || null), scenario.locale);
+    const simLog = log.child({ simulation: scenario.name, persona: persona.id });
+    try {
+      const result = await runSimulation({
+        openaiUrl,
+        openaiApiKey,
+        persona,
+        scenario,
+        symInstructions: await instructionsForSym(scenario.sym, simLog),
+        runTool: (name, argsJson, ctx) => runToolSafely(name, argsJson, { persona, sym: scenario.sym, knowledge, ...ctx }),
+        log: simLog
+      });
+      simulationsTotal.inc({ outcome: result.passed ? "passed" : "failed" });
+      simLog.info("Simulation finished", { passed: result.passed, turns: result.turns.length });
+      res.json(result);
+    } catch (e) {
+      simulationsTotal.inc({ outcome: "error" });
+      errorsTotal.inc({ type: "simulation" });
+      simLog.error("Simulation failed", { error: e?.message || String(e) });
+      res.status(502).json({ error: e?.message || String(e) });
+    }
+  });
+
+  const server = http.createServer(app);
+
+  // ---------- Sym / Assistant instructions ----------
+  // Fetch Sym-specific instructions from your API (optional)
+  async function fetchSymInstructions(sym, logger) {
+    if (!symApiUrl) return "";
+    try {
+      const base = symApiUrl.replace(/\/+$/, "");
+      // Adjust this path to your API if needed:
+      const url = `${base}/syms/${encodeURIComponent(sym)}/instructions`;
+
+      const headers = { Accept: "application/json" };
+      if (symApiKey) headers.Authorization = `Bearer ${symApiKey}`;
+
+      const resp = await fetch(url, { headers });
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+
+      const ct = resp.headers.get("content-type") || "";
+      if (ct.includes("application/json")) {
+        const j = await resp.json();
+        return (j.instructions || j.prompt || j.description || "").toString();
+      }
+      return (await resp.text()).toString();
+    } catch (e) {
+      errorsTotal.inc({ type: "sym_api" });
+      logger.warn("Sym API fetch failed", { sym, error: e?.message || String(e) });
+      return "";
+    }
+  }
+
+  // Fetch an OpenAI Assistant's instructions by ID (asst_...)
+  async function fetchAssistantInstructions(assistantId, logger) {
+    if (!assistantId || !assistantId.startsWith("asst_")) return "";
+    try {
+      const resp = await fetch(`https://api.openai.com/v1/assistants/${assistantId}`, {
+        headers: {
+          Authorization: `Bearer ${openaiApiKey}`,
+          "Content-Type": "application/json",
+        },
+      });
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      const j = await resp.json();
+      return (
+        (j.instructions) ||
+        (j.metadata && (j.metadata.instructions || j.metadata.prompt)) ||
+        ""
+      ).toString();
+    } catch (e) {
+      errorsTotal.inc({ type: "assistant_api" });
+      logger.warn("Assistant fetch failed", { error: e?.message || String(e) });
+      return "";
+    }
+  }
+
+  // Sym instructions for a call (or simulation): an OpenAI Assistant when sym
+  // looks like an Assistant ID (asst_...), otherwise your SmartFlows Sym API
+  function instructionsForSym(sym, logger = log) {
+    if (!sym) return Promise.resolve("");
+    return sym.startsWith("asst_") ? fetchAssistantInstructions(sym, logger) : fetchSymInstructions(sym, logger);
+  }
+
+  // ---------- basic helpers ----------
+  // Run a registry tool with a time limit. Never throws: failures come back as
+  // { ok: false, error } so the model can apologise or try something else.
+  async function runToolSafely(name, argsJson, ctx = {}, timeoutMs = toolTimeoutMs) {
+    let args = {};
+    try { args = argsJson ? JSON.parse(argsJson) : {}; }
+    catch { return { ok: false, error: "Invalid JSON arguments" }; }
+
+    let timer = null;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Tool timed out after ${timeoutMs} ms`)), timeoutMs);
+    });
+    try {
+      const result = await Promise.race([runTool(name, args, ctx), timeout]);
+      return { ok: true, result };
+    } catch (e) {
+      return { ok: false, error: e?.message || String(e) };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // ---------- WS endpoint (/stream[/<transport>]; Twilio subprotocol "audio") ----------
+  const wss = new WebSocketServer({
+    noServer: true,
+    handleProtocols: (protocols) => (protocols.has("audio") ? "audio" : false)
+  });
+
+  // Credentials are checked before the upgrade (401); limits after it, so the
+  // client gets a close code it can act on (1013 = try again later). A throw
+  // here would take the process down, so anything unexpected before the
+  // upgrade is a 400 and after it drops the socket.
+  server.on("upgrade", (req, socket, head) => {
+    let upgraded = false;
+    try {
+      handleUpgrade(req, socket, head, () => { upgraded = true; });
+    } catch (e) {
+      log.warn("Stream upgrade failed", { url: String(req.url).slice(0, 120), error: e?.message || String(e) });
+      if (upgraded) socket.destroy();
+      else socket.end("HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n");
+    }
+  });
+
+  function handleUpgrade(req, socket, head, onUpgraded) {
+    const transportName = transportForRequest(req);
+    if (!transportName) {
+      socket.end("HTTP/1.1 404 Not Found\r\n\r\n");
+      return;
+    }
+    if (draining) {
+      streamRejections.inc({ reason: "draining" });
+      log.warn("Stream refused", { transport: transportName, reason: "draining" });
+      socket.end("HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\n\r\n");
+      return;
+    }
+    const source = streamGuard.sourceOf(req);
+    const auth = streamGuard.authenticate(req, transportName);
+    if (!auth.ok) {
+      streamRejections.inc({ reason: "unauthorized" });
+      log.warn("Stream rejected", { transport: transportName, source, reason: auth.reason });
+      socket.end("HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n");
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      onUpgraded();
+      const refused = streamGuard.admit(source, auth);
+      if (refused) {
+        streamRejections.inc({ reason: refused === "server at capacity" ? "capacity" : "source_limit" });
+        log.warn("Stream refused", { transport: transportName, source, reason: refused });
+        ws.close(CLOSE_TRY_AGAIN_LATER, refused);
+        return;
+      }
+      wss.emit("connection", ws, req, { transportName, source, auth });
+    });
+  }
+
+  wss.on("connection", (callerWs, req, { transportName, source, auth }) => {
+    // Every line for this call carries its ids once known (bound on "start")
+    const callLog = log.child({ transport: transportName });
+    callLog.info("Caller connected", { subprotocol: callerWs.protocol || undefined, source, auth: auth.method || "pending" });
+    const connectedAt = Date.now();
+
+    // Carrier framing/codec; events come back through handleCallerEvent
+    const transport = createTransport(transportName, callerWs, req, {
+      onEvent: (evt) => handleCallerEvent(evt),
+      log: callLog
+    });
+    const transcript = createTranscript(); // for the post-call webhook and the supervisor routes
+    const callEntry = {
+      transport: transportName,
+      queueDepth: () => queue.reduce((n, e) => n + (e instanceof Int16Array ? 1 : 0), 0), // frames, not markers
+      shutdown: () => shutdown(),
+      info: () => callInfo(),
+      transcript,
+      supervise: { instructions: superviseInstructions, say: superviseSay, end: superviseEnd }
+    };
+    activeCalls.add(callEntry);
+
+    let streamSid = null;
+    let callSid = null;
+
+    let callFinished = false;
+    let endReason = null;
+    function finishCall(reason) {
+      if (callFinished || !authorized) return; // refused sessions were never calls
+      callFinished = true;
+      endReason = reason;
+      transcript.end();
+      calls.ended(callSid, reason);
+      callsTotal.inc({ transport: transport.name, reason });
+      callDuration.observe({ transport: transport.name }, (Date.now() - connectedAt) / 1000);
+      callLog.info("Call finished", { reason, durationMs: Date.now() - connectedAt });
+      const recording = !recorder ? Promise.resolve(null)
+        : recorder.finish({ streamSid, callSid, persona: persona.id, reason }).then((r) => {
+          callLog.info("Recording saved", r);
+          return r.file;
+        }, (e) => {
+          errorsTotal.inc({ type: "recording" });
+          callLog.error("Recording failed", { error: e?.message || String(e) });
+          return null;
+        });
+      // drain() and close() wait for this before the process may exit
+      trackFinish(!webhookUrl ? recording : recording.then((file) => {
+        const payload = { event: "call.ended", reason, ...transcript.toJSON(), recording: file || undefined };
+        return postJsonWebhook(webhookUrl, payload, { secret: webhookSecret });
+      }).then((r) => {
+        if (r.ok) callLog.info("Call webhook delivered", { attempts: r.attempts });
+        else {
+          errorsTotal.inc({ type: "webhook" });
+          callLog.error("Call webhook failed", { error: r.error, attempts: r.attempts });
+        }
+      }));
+    }
+
+    // Stereo recording (caller left, assistant right), created on "start" when enabled
+    let recorder = null;
+
+    // ---- Call state ----
+    // connecting → awaiting-start → configuring → live → ending
+    //   connecting:     OpenAI socket not open yet
+    //   awaiting-start: socket open, no transport "start" yet
+    //   configuring:    start received, Sym/Assistant instructions being fetched
+    //   live:           one merged session.update sent, greeting requested
+    //   reconnecting:   OpenAI socket dropped mid-call (live ⇄ reconnecting)
+    // Caller audio before "live" is buffered and flushed once configured.
+    let state = "connecting";
+    let openaiOpen = false;
+    let callParams = null;       // { pmpt, sym, inst } from the transport (Twilio <Parameter>s, query)
+    let symInstructions = null;  // null until fetched ("" when none)
+    const earlyAudio = [];       // OpenAI-format chunks received before "live"
+    const EARLY_AUDIO_MAX_CHUNKS = 150; // ~3 s of 20 ms chunks
+
+    function setState(next) {
+      if (state === next) return;
+      callLog.info("Call state", { from: state, to: next });
+      state = next;
+    }
+
+    function advance() {
+      if (state === "live" || state === "reconnecting" || state === "ending") return;
+      if (!openaiOpen) return setState("connecting");
+      if (!callParams) return setState("awaiting-start");
+      if (symInstructions === null) return setState("configuring");
+      goLive();
+    }
+
+    // Outbound queue + 20 ms pacer (160 PCM16 samples @ 8 kHz)
+    // Entries are Int16Array(160) frames, plus boundary markers
+    // ({ kind: "item-start" | "item-end" | "response-end", itemId?, responseId? })
+    // that the pacer turns into transport marks as it reaches them, and
+    // { kind: "reply-start", since } ahead of a reply's first audio, which
+    // times the response latency up to that audio's first frame going out.
+    const queue = [];
+    let replySince = 0; // caller's end of speech, while the reply's first frame is still to be sent
+    const pacer = setInterval(() => {
+      if (!transport.ready()) return;
+      while (queue.length && !(queue[0] instanceof Int16Array)) {
+        const entry = queue.shift();
+        if (entry.kind === "reply-start") replySince = entry.since;
+        else transport.sendMark(playback.boundarySent(entry));
+      }
+      if (queue.length === 0) {
+        if (pendingCallAction) maybeRunCallAction();
+        return;
+      }
+      const frame = queue.shift(); // Int16Array(160)
+      transport.sendAudio(frame);
+      recorder?.assistant(frame);
+      playback.frameSent();
+      if (replySince) {
+        responseLatency.observe({}, (Date.now() - replySince) / 1000);
+        replySince = 0;
+      }
+    }, 20);
+
+    // ---- OpenAI Realtime ----
+    let openaiWs = null;
+
+    // Talk-over logs (no echo path at all). "Speaking" follows real playback:
+    // it starts when the transport echoes an item-start mark and ends when the last
+    // response-end mark comes back.
+    let assistantSpeaking = false;
+    const playback = makePlaybackTracker({
+      onSpeakingChange: (speaking) => {
+        assistantSpeaking = speaking;
+        callLog.debug(speaking ? "Assistant started speaking" : "Assistant finished speaking");
+        if (!speaking) maybeArmNoInput();
+      }
+    });
+
+    // Audio paths for this carrier, built once the stream starts (the format
+    // can depend on the start message). Output resampler + framer are rebuilt on
+    // barge-in to drop remainders.
+    let inputFormat = "g711_ulaw"; // OpenAI input_audio_format
+    let toOpenAI = null;           // carrier bytes -> OpenAI input bytes
+    let resampleOut = null;        // 24 kHz -> carrier rate
+    let flushPcmFrames = null;
+
+    function setupAudio() {
+      const fmt = transport.format;
+      const passthrough = openaiInputFormat === "auto" && fmt.codec.startsWith("g711_") && fmt.rate === 8000;
+      inputFormat = passthrough ? fmt.codec : "pcm16";
+      toOpenAI = makeInputConverter(fmt, inputFormat);
+      resetOutputAudio();
+    }
+    function resetOutputAudio() {
+      resampleOut = makeResampler(24000, transport.format.rate);
+      flushPcmFrames = makeFramer(frameSamples(transport.format.rate), Int16Array);
+    }
+
+    // Assistant audio → queue, tagging item boundaries for the pacer
+    let queuedItemId = null;
+    const discardedItemIds = new Set(); // items cut off by barge-in
+    let speechStoppedAt = 0; // caller's last end of speech, until the reply's first audio
+    function enqueueAssistantAudio(b64, itemId) {
+      if (!resampleOut || (itemId && discardedItemIds.has(itemId))) return;
+      if (speechStoppedAt) {
+        queue.push({ kind: "reply-start", since: speechStoppedAt });
+        speechStoppedAt = 0;
+      }
+      if (itemId && itemId !== queuedItemId) {
+        if (queuedItemId) queue.push({ kind: "item-end", itemId: queuedItemId });
+        queuedItemId = itemId;
+        queue.push({ kind: "item-start", itemId });
+      }
+      const out = resampleOut(bytesToPcm16(Buffer.from(b64, "base64")));
+      if (out.length) flushPcmFrames(out, queue);
+    }
+
+    // Caller started talking: drop buffered assistant audio, tell the carrier to stop
+    // playback, and truncate the item to what the caller actually heard.
+    function bargeIn() {
+      const pendingFrames = queue.some((e) => e instanceof Int16Array);
+      if (!pendingFrames && !assistantSpeaking) return;
+
+      const cutItemId = playback.currentItemId();
+      const playedMs = cutItemId ? playback.playedMs(cutItemId) : 0;
+      for (const e of queue) if (e.itemId) discardedItemIds.add(e.itemId);
+      queue.length = 0;
+      replySince = 0;
+      resetOutputAudio();
+      queuedItemId = null;
+      playback.reset();
+      transport.clear();
+      if (cutItemId && openaiWs && openaiWs.readyState === WebSocket.OPEN) {
+        discardedItemIds.add(cutItemId);
+        openaiWs.send(JSON.stringify({
+          type: "conversation.item.truncate",
+          item_id: cutItemId,
+          content_index: 0,
+          audio_end_ms: playedMs
+        }));
+        transcript.interrupted(cutItemId, playedMs);
+      }
+      callLog.info("Barge-in: cleared playback", { itemId: cutItemId || undefined, truncatedAtMs: cutItemId ? playedMs : undefined });
+    }
+
+    // Persona for this call (resolved from pmpt on "start")
+    let persona = personas.get(null);
+
+    // midCall: leave the voice alone (Realtime refuses a voice change once
+    // the assistant has spoken, and would drop the whole update)
+    function configureSession({ midCall = false } = {}) {
+      const session = buildSessionConfig(persona, {
+        ...callParams, symInstructions, supervisor: supervisorInstructions, inputAudioFormat: inputFormat, detectLanguage
+      });
+      if (midCall) delete session.voice;
+      openaiWs.send(JSON.stringify({ type: "session.update", session }));
+    }
+
+    // Everything is in: apply the merged session config exactly once, flush
+    // buffered caller audio, then greet.
+    function goLive() {
+      configureSession();
+      callLog.info("Session configured", {
+        sym: callParams.sym || undefined,
+        symInstructions: !!symInstructions,
+        inst: !!callParams.inst.trim()
+      });
+      setState("live");
+
+      if (earlyAudio.length) {
+        const buffered = Buffer.concat(earlyAudio.splice(0));
+        openaiWs.send(JSON.stringify({ type: "input_audio_buffer.append", audio: buffered.toString("base64") }));
+      }
+      sendGreeting();
+    }
+
+    // Greeting after instructions are in (goLive runs once per call)
+    function sendGreeting() {
+      if (!openaiWs || openaiWs.readyState !== WebSocket.OPEN) return;
+      const greet = greetingFor(persona, callParams.sym);
+      openaiWs.send(JSON.stringify({
+        type: "response.create",
+        response: { modalities: ["audio", "text"], instructions: greet }
+      }));
+    }
+
+    // ---- Tool calls ----
+    // The model may call several tools in one response; outputs are sent as they
+    // finish, and a single follow-up response.create goes out once none are
+    // pending and the model's own response has finished.
+    let responseActive = false;
+    let pendingToolCalls = 0;
+    let toolOutputsWaiting = false;
+    let queuedReply = null; // { response? } owed once the model is idle (keypad input)
+    const handledCallIds = new Set();
+
+    function maybeRequestFollowUp() {
+      if (pendingCallAction) { // transfer/hang-up pending: say nothing more
+        toolOutputsWaiting = false;
+        queuedReply = null;
+      }
+      if (!(toolOutputsWaiting || queuedReply) || pendingToolCalls > 0 || responseActive) return;
+      if (!openaiWs || openaiWs.readyState !== WebSocket.OPEN) return;
+      const body = { type: "response.create", ...queuedReply };
+      if (farewell && queuedReply) farewell.sent = true;
+      toolOutputsWaiting = false;
+      queuedReply = null;
+      openaiWs.send(JSON.stringify(body));
+    }
+
+    // A reply not prompted by caller speech; waits for any response in flight
+    function requestReply(response) {
+      queuedReply = response ? { response } : {};
+      maybeRequestFollowUp();
+    }
+
+    async function handleFunctionCall({ call_id, name, arguments: argsJson }) {
+      if (!call_id || !name || handledCallIds.has(call_id)) return;
+      handledCallIds.add(call_id);
+      const generation = openaiGeneration;
+      pendingToolCalls++;
+      callLog.info("Tool call", { tool: name, args: String(argsJson || "").slice(0, 200) });
+      transcript.toolCall(call_id, name, argsJson);
+
+      const started = Date.now();
+      const outcome = !toolAllowed(persona, name)
+        ? { ok: false, error: `Tool not available: ${name}` }
+        : await runToolSafely(name, argsJson, { persona, sym: callParams?.sym || "", callControl, knowledge, keypad });
+      const toolMs = Date.now() - started;
+      // Label only real tools: the model can make names up
+      toolSeconds.observe({ tool: toolAllowed(persona, name) ? name : "not_allowed", outcome: outcome.ok ? "ok" : "error" }, toolMs / 1000);
+      if (!outcome.ok) errorsTotal.inc({ type: "tool" });
+      callLog[outcome.ok ? "info" : "warn"]("Tool result", { tool: name, ok: outcome.ok, error: outcome.error, ms: toolMs });
+      transcript.toolResult(call_id, outcome, toolMs);
+
+      // The session this call belonged to is gone after a reconnect
+      if (generation !== openaiGeneration) return;
+      pendingToolCalls--;
+      if (!openaiWs || openaiWs.readyState !== WebSocket.OPEN) return;
+      openaiWs.send(JSON.stringify({
+        type: "conversation.item.create",
+        item: {
+          type: "function_call_output",
+          call_id,
+          output: JSON.stringify(outcome.ok ? outcome.result : { error: outcome.error })
+        }
+      }));
+      toolOutputsWaiting = true;
+      maybeRequestFollowUp();
+    }
+
+    // ---- Call control (transfer_call / end_call) ----
+    // The tool only schedules the action; the pacer runs it once the model's
+    // response is done and every mark has come back, i.e. the caller has heard
+    // the assistant's last words.
+    let pendingCallAction = null; // { action: "transfer" | "hangup", to?, target?, reason, at }
+    let callActionStarted = false;
+    const canUpdateCall = () => transport.name === "twilio" && twilio.configured && Boolean(callSid);
+
+    const callControl = {
+      schedule(action) {
+        if (pendingCallAction) throw new Error("A transfer or hang-up is already in progress");
+        if (action.action === "transfer" && !canUpdateCall()) throw new Error("Transfers are not available on this call");
+        pendingCallAction = { ...action, at: Date.now() };
+        callLog.info("Call action scheduled", { action: action.action, target: action.target, reason: action.reason || undefined });
+      }
+    };
+
+    function maybeRunCallAction() {
+      if (callActionStarted) return;
+      const waited = Date.now() - pendingCallAction.at;
+      if ((responseActive || !playback.drained()) && waited < CALL_ACTION_MAX_WAIT_MS) return;
+      callActionStarted = true;
+      runCallAction(pendingCallAction);
+    }
+
+    function closeStreams(reason, callerCode) {
+      setState("ending");
+      finishCall(reason);
+      try { openaiWs?.close(); } catch {}
+      try { callerWs.close(callerCode); } catch {}
+    }
+
+    async function runCallAction(a) {
+      const reason = a.endReason || (a.action === "transfer" ? "transferred" : "assistant_hangup");
+      callLog.info(a.action === "transfer" ? "Transferring call" : "Hanging up call", { target: a.target, to: a.to });
+      if (a.closeCode || !canUpdateCall()) {
+        // Non-Twilio carriers (or no REST credentials): closing the stream ends the call
+        closeStreams(reason, a.closeCode);
+        return;
+      }
+      try {
+        await twilio.updateCall(callSid, { twiml: a.action === "transfer" ? dialTwiml(a.to) : hangupTwiml() });
+        setState("ending"); // Twilio ends the <Stream>; "stop" follows
+        finishCall(reason);
+      } catch (e) {
+        errorsTotal.inc({ type: "twilio_api" });
+        callLog.error("Call action failed", { action: a.action, error: e?.message || String(e) });
+        if (a.action === "hangup") {
+          setState("ending");
+          finishCall(reason);
+          try { callerWs.close(); } catch {}
+          return;
+        }
+        // Transfer failed: stay on the line and let the assistant say so
+        pendingCallAction = null;
+        callActionStarted = false;
+        if (!openaiWs || openaiWs.readyState !== WebSocket.OPEN) return;
+        openaiWs.send(JSON.stringify({
+          type: "response.create",
+          response: {
+            modalities: ["audio", "text"],
+            instructions: "The transfer could not be completed. Apologise briefly and offer to help another way."
+          }
+        }));
+      }
+    }
+
+    // ---- Keypad (DTMF) ----
+    // Entries reach the model as caller text; persona actions (0 -> transfer,
+    // # -> repeat …) act directly. A key press stops the assistant, as caller
+    // speech does. Digits are never logged, only their count, and entries
+    // asked for with request_keypad_entry (PINs, account numbers) reach the
+    // transcript — so the webhook, GET /calls/:id and the supervisor
+    // routes — as their count too. Free entries (menu choices) are kept.
+    let keypad = null; // created on "start" from the persona's dtmf settings
+
+    function sendCallerText(text) {
+      if (!openaiWs || openaiWs.readyState !== WebSocket.OPEN) return;
+      openaiWs.send(JSON.stringify({
+        type: "conversation.item.create",
+        item: { type: "message", role: "user", content: [{ type: "input_text", text }] }
+      }));
+      requestReply();
+    }
+
+    function onKeypadEntry({ digits, ended, purpose, requested }) {
+      callLog.info("Keypad entry", { length: digits.length, ended, purpose: purpose || undefined });
+      transcript.keypad(keypadText({ digits, purpose, hidden: requested }));
+      sendCallerText(keypadText({ digits, purpose }));
+    }
+
+    function onKeypadAction(a, key) {
+      callLog.info("Keypad action", { key, action: a.action, target: a.target });
+      if (a.action === "repeat") {
+        requestReply({
+          modalities: ["audio", "text"],
+          instructions: "The caller pressed a key to hear that again. Repeat your last message."
+        });
+        return;
+      }
+      if (a.action === "message") {
+        transcript.keypad(a.text);
+        sendCallerText(a.text);
+        return;
+      }
+      try {
+        callControl.schedule({
+          action: a.action, target: a.target, to: persona.transferTargets[a.target]?.to, reason: `keypad ${key}`
+        });
+      } catch (e) {
+        callLog.warn("Keypad action unavailable", { key, action: a.action, error: e?.message || String(e) });
+      }
+    }
+
+    // Stop the assistant mid-sentence: drop queued audio and cancel the response
+    function interruptAssistant() {
+      bargeIn();
+      if (responseActive && openaiWs?.readyState === WebSocket.OPEN) {
+        openaiWs.send(JSON.stringify({ type: "response.cancel" }));
+      }
+    }
+
+    // ---- Caller language (persona detect_language) ----
+    // Until the caller's language is known the session transcribes whatever
+    // it hears. The first caller transcripts pick the locale; a switch
+    // re-sends the session (language rule, transcription language), then the
+    // locale's voice on its own, and asks again for any reply already under
+    // way in the old language.
+    let detectLanguage = false;
+    let languageTurns = 0;
+
+    function detectCallerLanguage(text) {
+      const code = detectLocale(text);
+      if (!code && ++languageTurns < LANGUAGE_DETECT_TURNS) return;
+      detectLanguage = false;
+      const from = persona.locale.code;
+      const previous = persona;
+      if (code) persona = localise(persona, code);
+      if (!openaiWs || openaiWs.readyState !== WebSocket.OPEN) return; // the reconnect configures it
+      configureSession({ midCall: true }); // transcription language pinned either way
+      if (persona === previous) {
+        callLog.info("Caller language kept", { locale: from, detected: code || undefined });
+        return;
+      }
+      localeSwitches.inc({ locale: persona.locale.code });
+      callLog.info("Caller language detected; switching locale", { from, to: persona.locale.code });
+      callLog.bind({ locale: persona.locale.code });
+      if (persona.voice !== previous.voice) {
+        openaiWs.send(JSON.stringify({ type: "session.update", session: { voice: persona.voice } }));
+      }
+      if (responseActive || assistantSpeaking) {
+        interruptAssistant();
+        requestReply();
+      }
+    }
+
+    // ---- Silence and call length ----
+    // The no-input timer runs only while the floor is the caller's: audio
+    // played out and no response, tool, reply or keypad entry pending. It
+    // reprompts, then says goodbye and hangs up. The call length limit warns
+    // warningMs ahead and ends the call the same way.
+    let callerSpeaking = false;
+    let noInput = null;          // created on "start" from the persona
+    const durationTimers = [];
+    let farewell = null;         // { reason, sent, timer, closeCode } while a closing line is owed
+
+    const sayLine = (text) => ({
+      modalities: ["audio", "text"],
+      instructions: `Say exactly this, and nothing else: "${text}"`
+    });
+
+    function maybeArmNoInput() {
+      if (!noInput || state !== "live" || callerSpeaking || farewell || pendingCallAction || keypad?.pending()) return;
+      if (responseActive || pendingToolCalls > 0 || toolOutputsWaiting || queuedReply) return;
+      if (!playback.drained() || queue.some((e) => e instanceof Int16Array)) return;
+      noInput.arm();
+    }
+
+    // The goodbye is requested once the model is idle; the hang-up is
+    // scheduled when it starts, so it runs after the caller has heard it
+    // closeCode: close the stream with it rather than hanging up through Twilio
+    function sayGoodbyeAndHangUp(reason, text, { closeCode } = {}) {
+      if (farewell || pendingCallAction || state === "ending") return;
+      callLog.info("Ending call", { reason });
+      noInput?.disarm();
+      farewell = { reason, sent: false, timer: null, closeCode };
+      requestReply(sayLine(text));
+      // Hang up regardless if the goodbye never starts
+      farewell.timer = setTimeout(hangUpAfterFarewell, CALL_ACTION_MAX_WAIT_MS);
+    }
+
+    function hangUpAfterFarewell() {
+      clearTimeout(farewell.timer);
+      if (pendingCallAction) return;
+      callControl.schedule({
+        action: "hangup", reason: farewell.reason, endReason: farewell.reason, closeCode: farewell.closeCode
+      });
+    }
+
+    // Drain deadline: cut the assistant off, say the shutdown goodbye, then
+    // close both sockets — or close them now if the call never went live
+    let shutdownTimer = null;
+    function shutdown() {
+      if (state === "ending" || shutdownTimer) return;
+      if (state !== "live") {
+        closeStreams("shutdown", CLOSE_GOING_AWAY);
+        return;
+      }
+      interruptAssistant();
+      sayGoodbyeAndHangUp("shutdown", persona.shutdownGoodbye, { closeCode: CLOSE_GOING_AWAY });
+      shutdownTimer = setTimeout(() => closeStreams("shutdown", CLOSE_GOING_AWAY), SHUTDOWN_GOODBYE_MAX_MS);
+    }
+
+    // ---- Supervisor (admin API) ----
+    // Instructions are kept for the rest of the call (reconnects included);
+    // a supervisor line goes through requestReply like a reprompt.
+    let supervisorInstructions = "";
+
+    function callInfo() {
+      return {
+        id: callEntry.id,
+        callSid,
+        streamSid,
+        transport: transport.name,
+        direction: callSid && calls.get(callSid) ? "outbound" : "inbound",
+        persona: callParams ? persona.id : null,
+        locale: callParams ? persona.locale.code : null,
+        params: callParams ? { pmpt: callParams.pmpt, sym: callParams.sym, inst: Boolean(callParams.inst.trim()) } : null,
+        state,
+        startedAt: new Date(connectedAt).toISOString(),
+        durationS: Math.round((Date.now() - connectedAt) / 1000),
+        recording: Boolean(recorder),
+        supervisorInstructions: supervisorInstructions || null,
+        endReason
+      };
+    }
+
+    function requireUnended() {
+      if (state === "ending" || farewell || pendingCallAction) throw new Error("The call is ending");
+    }
+
+    function superviseInstructions(text) {
+      requireUnended();
+      if (state !== "live" && state !== "reconnecting") throw new Error(`The call is not live yet (${state})`);
+      supervisorInstructions = text;
+      if (state === "live") configureSession({ midCall: true }); // a reconnect applies it anyway
+      transcript.supervisor("instructions", text);
+      callLog.info("Supervisor updated instructions", { chars: text.length });
+    }
+
+    function superviseSay(text, { interrupt = false } = {}) {
+      requireUnended();
+      if (state !== "live") throw new Error(`The call is not live (${state})`);
+      if (interrupt) interruptAssistant();
+      noInput?.disarm();
+      requestReply(sayLine(text));
+      transcript.supervisor("say", text);
+      callLog.info("Supervisor message queued", { chars: text.length, interrupt });
+    }
+
+    function superviseEnd({ goodbye = "" } = {}) {
+      if (state === "ending" || callActionStarted) throw new Error("The call is already ending");
+      transcript.supervisor("end", goodbye || "(ended without a goodbye)");
+      callLog.info("Supervisor ended the call", { goodbye: Boolean(goodbye) });
+      interruptAssistant();
+      if (goodbye && state === "live" && !farewell && !pendingCallAction) {
+        sayGoodbyeAndHangUp("supervisor", goodbye);
+        return;
+      }
+      pendingCallAction = { action: "hangup", reason: "supervisor", endReason: "supervisor", at: Date.now() };
+      callActionStarted = true;
+      runCallAction(pendingCallAction);
+    }
+
+    function startCallTimers() {
+      // Lines are read when spoken: the locale can change mid-call
+      const { timeoutMs, reprompts } = persona.noInput;
+      noInput = createNoInputTimer({
+        timeoutMs,
+        maxReprompts: reprompts,
+        onReprompt: (n) => {
+          if (state !== "live") return;
+          callLog.info("No input; reprompting", { reprompt: n });
+          requestReply(sayLine(persona.noInput.reprompt));
+        },
+        onGiveUp: () => sayGoodbyeAndHangUp("no_input", persona.noInput.goodbye)
+      });
+
+      const max = persona.maxDuration;
+      if (!(max.limitMs > 0)) return;
+      const left = max.limitMs - (Date.now() - connectedAt);
+      if (max.warningMs > 0 && max.warningMs < max.limitMs) {
+        durationTimers.push(setTimeout(() => {
+          if (farewell || state === "ending") return;
+          callLog.info("Call length warning", { remainingMs: max.warningMs });
+          requestReply(sayLine(persona.maxDuration.warning));
+        }, left - max.warningMs));
+      }
+      durationTimers.push(setTimeout(() => {
+        if (farewell || state === "ending") return;
+        interruptAssistant();
+        sayGoodbyeAndHangUp("max_duration", persona.maxDuration.goodbye);
+      }, left));
+    }
+
+    // ---- OpenAI socket (reconnects with backoff while the call is up) ----
+    let openaiGeneration = 0;  // bumped per socket; stale events/results are dropped
+    let reconnectAttempts = 0;
+    let reconnectTimer = null;
+    let holdTimer = null;
+
+    function connectOpenAI() {
+      reconnectTimer = null;
+      let ws;
+      try {
+        ws = new WebSocket(openaiUrl, {
+          headers: { Authorization: `Bearer ${openaiApiKey}`, "OpenAI-Beta": "realtime=v1" }
+        });
+      } catch (e) {
+        openaiConnectFailed(e?.message || String(e));
+        return scheduleReconnect();
+      }
+      openaiWs = ws;
+      openaiGeneration++;
+      const connectStarted = Date.now();
+      let opened = false;
+
+      ws.on("open", () => {
+        opened = true;
+        openaiHealth.lastOkAt = Date.now();
+        openaiHealth.consecutiveFailures = 0;
+        openaiConnectSeconds.observe({}, (Date.now() - connectStarted) / 1000);
+        if (ws !== openaiWs) return;
+        callLog.info("OpenAI connected", { ms: Date.now() - connectStarted });
+        openaiOpen = true;
+        if (state === "reconnecting") resumeAfterReconnect();
+        else advance();
+      });
+      ws.on("message", (buf) => {
+        if (ws === openaiWs) onOpenAIMessage(buf);
+      });
+      ws.on("error", (e) => {
+        if (!opened) return openaiConnectFailed(e?.message || String(e));
+        errorsTotal.inc({ type: "openai_ws" });
+        callLog.error("OpenAI WS error", { error: e?.message || String(e) });
+      });
+      ws.on("close", (c, r) => {
+        callLog.info("OpenAI WS closed", { code: c, reason: String(r || "") || undefined });
+        if (ws !== openaiWs) return;
+        if (opened && state !== "ending") errorsTotal.inc({ type: "openai_disconnect" });
+        openaiOpen = false;
+        scheduleReconnect();
+      });
+    }
+
+    function openaiConnectFailed(error) {
+      openaiHealth.lastErrorAt = Date.now();
+      openaiHealth.lastError = error;
+      openaiHealth.consecutiveFailures++;
+      errorsTotal.inc({ type: "openai_connect" });
+      callLog.error("OpenAI connect failed", { error });
+    }
+
+    function scheduleReconnect() {
+      if (state === "ending" || reconnectTimer) return;
+      if (reconnectAttempts >= openaiReconnectAttempts) return giveUp();
+      const delay = Math.min(8000, 500 * 2 ** reconnectAttempts);
+      reconnectAttempts++;
+      if (state === "live") setState("reconnecting");
+      if (state === "reconnecting") {
+        abandonResponse();
+        startHoldTone();
+      }
+      callLog.warn("OpenAI reconnect scheduled", { attempt: reconnectAttempts, of: openaiReconnectAttempts, delayMs: delay });
+      reconnectTimer = setTimeout(connectOpenAI, delay);
+    }
+
+    // The in-flight response died with the socket: close its playback
+    // boundaries and forget pending tool calls (their call_ids are gone)
+    function abandonResponse() {
+      if (queuedItemId) {
+        queue.push({ kind: "item-end", itemId: queuedItemId });
+        queuedItemId = null;
+      }
+      queue.push({ kind: "response-end", responseId: null });
+      responseActive = false;
+      pendingToolCalls = 0;
+      toolOutputsWaiting = false;
+      queuedReply = null;
+    }
+
+    // Soft 440 Hz pips every 2 s while reconnecting (after queued audio drains)
+    function startHoldTone() {
+      if (holdTimer) return;
+      const pip = toneFrames(440, 300, 3000, transport.format.rate);
+      holdTimer = setInterval(() => {
+        if (queue.length < 10) queue.push(...pip);
+      }, 2000);
+    }
+    function stopHoldTone() {
+      clearInterval(holdTimer);
+      holdTimer = null;
+    }
+
+    // New socket mid-call: same session config, recent turns replayed as
+    // context, then a brief apology so the caller knows we're back
+    function resumeAfterReconnect() {
+      stopHoldTone();
+      configureSession();
+      for (const turn of transcript.recentTurns(REPLAY_TURNS)) {
+        const user = turn.role === "caller";
+        openaiWs.send(JSON.stringify({
+          type: "conversation.item.create",
+          item: {
+            type: "message",
+            role: user ? "user" : "assistant",
+            content: [{ type: user ? "input_text" : "text", text: turn.text }]
+          }
+        }));
+      }
+      openaiWs.send(JSON.stringify({
+        type: "response.create",
+        response: {
+          modalities: ["audio", "text"],
+          instructions: "The line dropped for a moment. Apologise in a few words and carry on from where the conversation left off."
+        }
+      }));
+      setState("live");
+      callLog.info("OpenAI session resumed after reconnect");
+    }
+
+    // Out of attempts: apologise (via Twilio <Say> when we can) and end the call
+    function giveUp() {
+      errorsTotal.inc({ type: "openai_unavailable" });
+      callLog.error("OpenAI unavailable; ending call");
+      stopHoldTone();
+      setState("ending");
+      finishCall("openai_unavailable");
+      if (transport.name === "twilio" && twilio.configured && callSid) {
+        const { unavailable, say } = persona.locale;
+        twilio.updateCall(callSid, { twiml: sayAndHangupTwiml(unavailable, say) }).catch((e) => {
+          errorsTotal.inc({ type: "twilio_api" });
+          callLog.error("Twilio call update failed", { error: e?.message || String(e) });
+          try { callerWs.close(); } catch {}
+        });
+      } else {
+        try { callerWs.close(); } catch {}
+      }
+    }
+
+    // Token still to come in "start": no OpenAI session, and no session slot,
+    // until it checks out
+    let authorized = !auth.pending;
+    let authTimer = null;
+    function refuse(reason, metricReason) {
+      streamRejections.inc({ reason: metricReason });
+      callLog.warn("Stream rejected", { source, reason });
+      setState("ending");
+      try { callerWs.close(CLOSE_POLICY_VIOLATION, reason); } catch {}
+    }
+    if (authorized) connectOpenAI();
+    else authTimer = setTimeout(() => refuse("no stream token before timeout", "start_timeout"), streamGuard.startTimeoutMs);
+
+    function onOpenAIMessage(buf) {
+      const txt = buf.toString();
+      let msg;
+      try { msg = JSON.parse(txt); } catch { /* non-JSON frames */ return; }
+
+      // Assistant audio (PCM16 @ 24k) -> resample to 8k -> μ-law -> 20ms frames
+      if (msg.type === "response.output_audio.delta" && msg.delta) {
+        enqueueAssistantAudio(msg.delta, msg.item_id);
+        return;
+      }
+      if (msg.type === "response.audio.delta" && (msg.delta || msg.audio)) {
+        enqueueAssistantAudio(msg.delta || msg.audio, msg.item_id);
+        return;
+      }
+      if (msg.type === "output_audio.delta" && msg.audio) {
+        enqueueAssistantAudio(msg.audio, msg.item_id);
+        return;
+      }
+
+      // Caller barge-in (server VAD) → stop local playback too
+      if (msg.type === "input_audio_buffer.speech_started") {
+        speechStoppedAt = 0;
+        callerSpeaking = true;
+        noInput?.heard();
+        transcript.callerSpeechStarted(msg.item_id);
+        bargeIn();
+        return;
+      }
+
+      if (msg.type === "input_audio_buffer.speech_stopped") {
+        speechStoppedAt = Date.now();
+        callerSpeaking = false;
+        maybeArmNoInput(); // in case no reply follows
+        return;
+      }
+
+      // Transcripts (caller via input transcription, assistant via audio transcript)
+      if (msg.type === "conversation.item.input_audio_transcription.completed") {
+        transcript.callerTurn(msg.item_id, msg.transcript);
+        if (detectLanguage) detectCallerLanguage(msg.transcript);
+        return;
+      }
+      if (msg.type === "response.audio_transcript.delta" || msg.type === "response.output_audio_transcript.delta") {
+        transcript.assistantDelta(msg.item_id, msg.delta);
+        return;
+      }
+      if (msg.type === "response.audio_transcript.done" || msg.type === "response.output_audio_transcript.done") {
+        transcript.assistantDone(msg.item_id, msg.transcript);
+        return;
+      }
+
+      // Function calls: arguments.done may arrive without a name on older
+      // event shapes, so output_item.done is the fallback (deduped by call_id)
+      if (msg.type === "response.function_call_arguments.done" && msg.name) {
+        handleFunctionCall(msg);
+        return;
+      }
+      if (msg.type === "response.output_item.done" && msg.item?.type === "function_call") {
+        handleFunctionCall(msg.item);
+        return;
+      }
+
+      // Our config took: the socket is healthy, so a later drop starts a fresh
+      // backoff (a socket that opens and dies straight away does not)
+      if (msg.type === "session.updated") {
+        reconnectAttempts = 0;
+        return;
+      }
+
+      if (msg.type === "response.created") {
+        responseActive = true;
+        noInput?.disarm();
+        if (farewell?.sent) hangUpAfterFarewell();
+        return;
+      }
+
+      // End-of-audio / end-of-turn → boundary marks; "finished speaking" is
+      // decided when the transport echoes them back after playback
+      if (msg.type === "response.output_audio.done" || msg.type === "response.audio.done") {
+        if (msg.item_id && msg.item_id === queuedItemId) {
+          queue.push({ kind: "item-end", itemId: queuedItemId });
+          queuedItemId = null;
+        }
+        return;
+      }
+      if (
+        msg.type === "response.done" ||
+        msg.type === "response.completed" ||
+        msg.type === "response.finished"
+      ) {
+        if (queuedItemId) {
+          queue.push({ kind: "item-end", itemId: queuedItemId });
+          queuedItemId = null;
+        }
+        queue.push({ kind: "response-end", responseId: msg.response?.id || null });
+        responseActive = false;
+        maybeRequestFollowUp();
+        maybeArmNoInput();
+        return;
+      }
+
+      if (msg.type === "error" || msg.type === "response.error") {
+        errorsTotal.inc({ type: `openai:${msg.error?.type || "unknown"}` });
+        callLog.error("OpenAI error event", { error: msg.error || msg });
+        return;
+      }
+    }
+
+    // ---- Caller (transport) -> OpenAI ----
+    function handleCallerEvent(evt) {
+      switch (evt.type) {
+        case "start": {
+          if (callParams) break; // one start per stream; ignore repeats
+          if (!authorized) {
+            const v = streamGuard.authenticateStart(evt.params);
+            if (!v.ok) { refuse(v.reason, "unauthorized"); break; }
+            clearTimeout(authTimer);
+            const verified = { ok: true, method: "token", sub: v.sub };
+            const full = streamGuard.admit(source, verified);
+            if (full) {
+              streamRejections.inc({ reason: full === "server at capacity" ? "capacity" : "source_limit" });
+              callLog.warn("Stream refused", { source, reason: full });
+              setState("ending");
+              try { callerWs.close(CLOSE_TRY_AGAIN_LATER, full); } catch {}
+              break;
+            }
+            auth = verified; // released with the slot on close
+            authorized = true;
+            callLog.info("Stream token accepted", { sub: v.sub || undefined });
+            connectOpenAI();
+          }
+          streamSid = evt.streamId || null;
+          callSid = evt.callId || null;
+          setupAudio();
+
+          // Custom parameters (pmpt / sym / inst): Twilio <Parameter>s, NCCO headers, query
+          const cp = evt.params || {};
+          const str = (v) => (typeof v === "string" ? v : "");
+          callParams = { pmpt: str(cp.pmpt), sym: str(cp.sym), inst: str(cp.inst), locale: str(cp.locale) };
+          // A locale parameter wins over the persona's, and over detection
+          persona = localise(personas.get(callParams.pmpt || null), callParams.locale);
+          detectLanguage = persona.detectLanguage && !callParams.locale;
+          keypad = createDtmfCollector({ ...persona.dtmf, onEntry: onKeypadEntry, onAction: onKeypadAction });
+          startCallTimers();
+          callLog.bind({ streamSid, callSid, persona: persona.id, locale: persona.locale.code });
+          callLog.info("Stream started", {
+            codec: transport.format.codec, rate: transport.format.rate, openaiInput: inputFormat,
+            params: { ...callParams, inst: Boolean(callParams.inst) } // instructions can be long or private
+          });
+          // record=true|false on the stream wins over the persona's setting
+          const rec = /^(1|true|yes)$/i.test(str(cp.record)) ? true
+            : /^(0|false|no)$/i.test(str(cp.record)) ? false
+            : persona.record;
+          if (rec) {
+            try {
+              recorder = createCallRecorder({
+                dir: recordingDir, name: callSid || streamSid || `call-${connectedAt}`, rate: transport.format.rate, log: callLog
+              });
+              callLog.info("Recording call", { file: recorder.file });
+            } catch (e) {
+              errorsTotal.inc({ type: "recording" });
+              callLog.error("Recording could not start", { error: e?.message || String(e) });
+            }
+          }
+          transcript.setCall({ streamSid, callSid, params: callParams });
+          calls.attachTranscript(callSid, transcript); // outbound calls placed via POST /calls
+
+          const fetching = instructionsForSym(callParams.sym, callLog);
+          advance();
+          fetching.then((text) => {
+            symInstructions = text || "";
+            advance();
+          });
+
+          // 1s test beep (1 kHz) so caller hears something immediately
+          queue.push(...toneFrames(1000, 1000, 12000, transport.format.rate));
+          break;
+        }
+
+        case "media": {
+          // Feed OpenAI (barge-in handled server-side); hold it until configured
+          if (!toOpenAI) break; // audio before start
+          recorder?.caller(decodeFrame(transport.format.codec, evt.audio));
+          const audio = toOpenAI(evt.audio);
+          if (state === "live" && openaiWs && openaiWs.readyState === WebSocket.OPEN) {
+            openaiWs.send(JSON.stringify({ type: "input_audio_buffer.append", audio: u8ToB64(audio) }));
+          } else if (state !== "reconnecting" && state !== "ending") {
+            earlyAudio.push(audio);
+            if (earlyAudio.length > EARLY_AUDIO_MAX_CHUNKS) earlyAudio.shift();
+          }
+          // NO ECHO — prevents talk-over & VAD confusion
+          break;
+        }
+
+        case "mark": {
+          playback.markEchoed(evt.name);
+          maybeArmNoInput();
+          break;
+        }
+
+        case "dtmf": {
+          if (!keypad || state === "ending") break;
+          noInput?.heard();
+          interruptAssistant();
+          keypad.press(evt.digit);
+          break;
+        }
+
+        case "stop": {
+          callLog.info("Stream stopped");
+          setState("ending");
+          finishCall("stop");
+          try { openaiWs?.close(); } catch {}
+          try { callerWs.close(); } catch {}
+          break;
+        }
+      }
+    }
+
+    callerWs.on("close", () => {
+      callLog.info("Caller WS closed");
+      activeCalls.delete(callEntry);
+      streamGuard.release(source, auth);
+      clearTimeout(authTimer);
+      keypad?.stop();
+      noInput?.disarm();
+      durationTimers.forEach(clearTimeout);
+      clearTimeout(farewell?.timer);
+      clearTimeout(shutdownTimer);
+      setState("ending");
+      clearInterval(pacer);
+      clearTimeout(reconnectTimer);
+      stopHoldTone();
+      finishCall("socket_closed");
+      transcript.end(); // refused sessions never finish; ends their live transcript streams
+      try { openaiWs?.close(); } catch {}
+      checkDrained(); // after finishCall, so drain waits for its webhook
+    });
+
+    callerWs.on("error", (e) => {
+      errorsTotal.inc({ type: "caller_ws" });
+      callLog.error("Caller WS error", { error: e?.message || String(e) });
+    });
+  });
+
+  return {
+    app,
+    server,
+    metrics,
+    calls,
+    drain,
+
+    // -> the bound address (port 0 picks a free one)
+    listen(port = 8080, host) {
+      return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, () => {
+          server.off("error", reject);
+          const addr = server.address();
+          log.info("Bridge listening", { port: typeof addr === "object" ? addr.port : addr });
+          resolve(addr);
+        });
+      });
+    },
+
+    // Drop every call (their close handlers tidy up), stop background work,
+    // then give ended calls' recordings and webhooks POST_CALL_WAIT_MS to finish
+    async close() {
+      clearTimeout(draining?.timer);
+      personas.stop();
+      recordingCleanup.stop();
+      const closed = [...wss.clients].map((ws) => new Promise((resolve) => ws.once("close", resolve)));
+      for (const ws of wss.clients) ws.terminate();
+      await Promise.all([...closed, new Promise((resolve) => server.close(() => resolve()))]);
+      await settleFinishes(POST_CALL_WAIT_MS);
+    }
+  };
+}
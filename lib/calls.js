@@ -0,0 +1,66 @@
+// /lib/calls.js  (ESM)
+// Outbound calls placed through POST /calls, keyed by Twilio CallSid so the
+// stream that answers can attach its transcript. In memory only: records are
+// kept for ttlMs after they were created (at most maxRecords).
+
+// Twilio call statuses after which nothing changes
+export const FINAL_STATUSES = new Set(["completed", "busy", "failed", "no-answer", "canceled"]);
+
+export function createCallStore({ ttlMs = 24 * 60 * 60 * 1000, maxRecords = 1000 } = {}) {
+  const calls = new Map(); // callSid -> record (insertion order = age)
+
+  function prune(now = Date.now()) {
+    for (const [id, rec] of calls) {
+      if (calls.size <= maxRecords && now - rec.createdAt < ttlMs) break;
+      calls.delete(id);
+    }
+  }
+
+  return {
+    add({ id, to, from, params, status = "queued" }) {
+      prune();
+      const rec = {
+        id, to, from, params, status,
+        createdAt: Date.now(),
+        statusCheckedAt: 0,
+        transcript: null, // live lib/transcript object once the stream starts
+        endReason: null
+      };
+      calls.set(id, rec);
+      return rec;
+    },
+
+    get(id) {
+      return calls.get(id) || null;
+    },
+
+    setStatus(id, status) {
+      const rec = calls.get(id);
+      if (rec && status) { rec.status = status; rec.statusCheckedAt = Date.now(); }
+    },
+
+    // Called by the bridge on stream start / call end; unknown sids (inbound) are ignored
+    attachTranscript(id, transcript) {
+      const rec = id && calls.get(id);
+      if (rec) { rec.transcript = transcript; rec.status = "in-progress"; }
+    },
+
+    ended(id, reason) {
+      const rec = id && calls.get(id);
+      if (rec) rec.endReason = reason;
+    },
+
+    toJSON(rec) {
+      return {
+        id: rec.id,
+        to: rec.to,
+        from: rec.from,
+        params: rec.params,
+        status: rec.status,
+        createdAt: new Date(rec.createdAt).toISOString(),
+        endReason: rec.endReason,
+        transcript: rec.transcript ? rec.transcript.toJSON() : null
+      };
+    }
+  };
+}
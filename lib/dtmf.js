@@ -0,0 +1,71 @@
+// /lib/dtmf.js  (ESM)
+// Keypad input for one call. Key presses are collected into entries; an
+// entry ends on a terminator key (default "#"), after interDigitMs with no
+// key, or — during a keypad request — once the requested number of digits
+// is in (or firstDigitMs passes with nothing pressed).
+//
+// Outside a request, a key that has a persona action and is pressed with no
+// entry in progress runs the action instead (e.g. 0 -> transfer, # -> repeat).
+// While a request is open every key is entry input, so account numbers can
+// start with an action key.
+
+export const DTMF_KEY = /^[0-9*#A-D]$/;
+
+// How an entry reaches the model, as caller text; hidden: the same line with
+// only the number of digits, for the transcript
+export function keypadText({ digits, purpose = "", hidden = false }) {
+  const entered = !digits ? "nothing entered before the timeout"
+    : hidden ? `(${digits.length} digit${digits.length === 1 ? "" : "s"}, not recorded)`
+    : digits;
+  return `[Keypad] ${purpose ? `${purpose}: ` : ""}${entered}`;
+}
+
+// onEntry({ digits, ended: "terminator" | "timeout" | "complete", purpose, requested })
+// onAction(action, key)
+export function createDtmfCollector({
+  interDigitMs = 3000, firstDigitMs = 10000, terminators = "#", actions = {}, onEntry, onAction
+}) {
+  let digits = "";
+  let request = null; // { maxDigits, purpose }
+  let timer = null;
+
+  function finish(ended) {
+    clearTimeout(timer);
+    timer = null;
+    const requested = Boolean(request);
+    const entry = { digits, ended, purpose: request?.purpose || "", requested };
+    digits = "";
+    request = null;
+    if (entry.digits || requested) onEntry(entry); // a lone terminator is not an entry
+  }
+
+  function arm(ms) {
+    clearTimeout(timer);
+    timer = setTimeout(() => finish("timeout"), ms);
+  }
+
+  return {
+    press(key) {
+      if (!DTMF_KEY.test(key)) return;
+      if (!request && !digits && actions[key]) return onAction(actions[key], key);
+      if (terminators.includes(key)) return finish("terminator");
+      digits += key;
+      if (request && digits.length >= request.maxDigits) return finish("complete");
+      arm(interDigitMs);
+    },
+
+    // The assistant asked for up to maxDigits; a partial free entry is dropped
+    request({ maxDigits, purpose = "" }) {
+      digits = "";
+      request = { maxDigits, purpose };
+      arm(firstDigitMs);
+    },
+
+    pending: () => (request ? { ...request, entered: digits.length } : null),
+
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+}
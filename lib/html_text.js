@@ -0,0 +1,76 @@
+// /lib/html_text.js  (ESM)
+// HTML -> readable text for tools: entity decoding, boilerplate removal
+// (nav/header/footer/aside/forms, scripts, styles) and a "main content" pick
+// (<main>, then <article>, then the body), with block tags kept as line
+// breaks so passages stay separate.
+
+const NAMED_ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: "\u00a0",
+  ndash: "–", mdash: "—", hellip: "…", lsquo: "‘", rsquo: "’", sbquo: "‚",
+  ldquo: "“", rdquo: "”", bdquo: "„", laquo: "«", raquo: "»", bull: "•", middot: "·",
+  copy: "©", reg: "®", trade: "™", deg: "°", plusmn: "±", times: "×", divide: "÷",
+  frac12: "½", frac14: "¼", frac34: "¾", sup2: "²", sup3: "³", micro: "µ", para: "¶", sect: "§",
+  pound: "£", euro: "€", cent: "¢", yen: "¥", dollar: "$", percnt: "%", num: "#", commat: "@",
+  iexcl: "¡", iquest: "¿", shy: "", zwj: "", zwnj: "", lrm: "", rlm: "",
+  thinsp: "\u2009", ensp: "\u2002", emsp: "\u2003", hyphen: "-", dash: "-", minus: "−", prime: "′", Prime: "″",
+  larr: "←", rarr: "→", uarr: "↑", darr: "↓", harr: "↔", check: "✓",
+  aacute: "á", Aacute: "Á", agrave: "à", Agrave: "À", acirc: "â", Acirc: "Â", auml: "ä", Auml: "Ä",
+  atilde: "ã", Atilde: "Ã", aring: "å", Aring: "Å", aelig: "æ", AElig: "Æ", ccedil: "ç", Ccedil: "Ç",
+  eacute: "é", Eacute: "É", egrave: "è", Egrave: "È", ecirc: "ê", Ecirc: "Ê", euml: "ë", Euml: "Ë",
+  iacute: "í", Iacute: "Í", igrave: "ì", Igrave: "Ì", icirc: "î", Icirc: "Î", iuml: "ï", Iuml: "Ï",
+  ntilde: "ñ", Ntilde: "Ñ", oacute: "ó", Oacute: "Ó", ograve: "ò", Ograve: "Ò", ocirc: "ô", Ocirc: "Ô",
+  ouml: "ö", Ouml: "Ö", otilde: "õ", Otilde: "Õ", oslash: "ø", Oslash: "Ø", szlig: "ß",
+  uacute: "ú", Uacute: "Ú", ugrave: "ù", Ugrave: "Ù", ucirc: "û", Ucirc: "Û", uuml: "ü", Uuml: "Ü",
+  yacute: "ý", Yacute: "Ý", yuml: "ÿ", oelig: "œ", OElig: "Œ", scaron: "š", Scaron: "Š"
+};
+
+export function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);?/gi, (m, ref) => {
+    if (ref[0] === "#") {
+      const cp = ref[1] === "x" || ref[1] === "X" ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      if (!cp || cp > 0x10ffff || (cp >= 0xd800 && cp <= 0xdfff)) return "�";
+      return String.fromCodePoint(cp);
+    }
+    return Object.hasOwn(NAMED_ENTITIES, ref) ? NAMED_ENTITIES[ref] : m;
+  });
+}
+
+// Elements whose content is never readable page text
+const DROP = ["script", "style", "noscript", "template", "svg", "canvas", "iframe", "object", "head"];
+// Page chrome, dropped when we fall back to the whole body
+const CHROME = ["nav", "header", "footer", "aside", "form", "button", "select", "dialog"];
+const BLOCK = /<\/?(?:p|div|section|article|main|h[1-6]|li|ul|ol|dl|dt|dd|tr|table|blockquote|pre|br|hr|figure|figcaption|address|details|summary)\b[^>]*>/gi;
+
+const stripElements = (html, tags) =>
+  tags.reduce((h, t) => h.replace(new RegExp(`<${t}\\b[\\s\\S]*?</${t}\\s*>`, "gi"), " "), html);
+
+// Largest <tag>…</tag> block (by text length), or null
+function largest(html, tag) {
+  let best = null, bestLen = 0;
+  for (const m of html.matchAll(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}\\s*>`, "gi"))) {
+    const len = m[1].replace(/<[^>]+>/g, "").trim().length;
+    if (len > bestLen) { best = m[1]; bestLen = len; }
+  }
+  return bestLen > 200 ? best : null;
+}
+
+function toText(fragment) {
+  return decodeEntities(
+    fragment
+      .replace(BLOCK, "\n")
+      .replace(/<[^>]+>/g, " ")
+  )
+    .replace(/[^\S\n]+/g, " ")
+    .replace(/ *\n\s*/g, "\n")
+    .trim();
+}
+
+// -> { title, text }; text is one passage per line
+export function htmlToText(html) {
+  const titleMatch = /<title\b[^>]*>([\s\S]*?)<\/title>/i.exec(html);
+  const title = titleMatch ? toText(titleMatch[1]).replace(/\n/g, " ") : "";
+  let body = stripElements(html.replace(/<!--[\s\S]*?-->/g, " "), DROP);
+  const main = largest(body, "main") || largest(body, "article");
+  body = main || stripElements(body, CHROME);
+  return { title, text: toText(body) };
+}
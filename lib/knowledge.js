@@ -0,0 +1,189 @@
+// /lib/knowledge.js  (ESM)
+// Local knowledge base: BM25 over short passages, one index per Sym.
+//
+// Layout: <dir>/<sym>/**/*.{md,markdown,html,htm,txt}; calls without a sym
+// (or with a sym that has no folder) use <dir>/default. PDFs are expected as
+// extracted .txt next to the original. Documents are cut into passages of a
+// few sentences (sized to be read aloud), each with a source id
+// "<path relative to the sym folder>#<n>" and its section heading.
+// build() replaces every index at once; a failed build keeps the old ones.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { htmlToText } from "./html_text.js";
+import { log } from "./log.js";
+
+const DOC_EXT = /\.(md|markdown|html?|txt)$/i;
+const PASSAGE_MAX = 400; // chars; a passage is 2–4 spoken sentences
+const PASSAGE_MIN = 120; // shorter paragraphs are merged with the next
+const K1 = 1.2, B = 0.75;
+
+const STOPWORDS = new Set(
+  ("a an and are as at be but by can do does for from has have how i if in is it its me my no not of on or our " +
+   "so that the their them there they this to was we what when where which who why will with you your").split(" ")
+);
+
+// Lower-case words, stop words dropped, trailing plural "s" folded
+export function tokenize(text) {
+  return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter((w) => !STOPWORDS.has(w))
+    .map((w) => (w.length > 3 && w.endsWith("s") && !w.endsWith("ss") ? w.slice(0, -1) : w));
+}
+
+// Markdown -> [{ section, text }] blocks (headings start sections)
+function markdownBlocks(md) {
+  const blocks = [];
+  let section = "";
+  const body = md.replace(/^---\n[\s\S]*?\n---\n/, ""); // front matter
+  for (const para of body.split(/\n\s*\n/)) {
+    const lines = para.split("\n").filter((l) => !/^\s*(```|~~~)/.test(l));
+    const rest = [];
+    for (const line of lines) {
+      const h = /^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/.exec(line);
+      if (h) { section = h[1]; continue; }
+      rest.push(line);
+    }
+    const text = rest.map((l) => l.replace(/^\s*(?:[-*+]|\d+[.)])\s+/, "")).join(" ") // list markers
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, "")       // images
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")     // links -> text
+      .replace(/<[^>]+>/g, " ")
+      .replace(/[*_`~>|]+/g, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+    if (text) blocks.push({ section, text });
+  }
+  return blocks;
+}
+
+function plainBlocks(text) {
+  return text.split(/\n\s*\n|\n/).map((t) => ({ section: "", text: t.replace(/\s+/g, " ").trim() })).filter((b) => b.text);
+}
+
+// Blocks -> passages: merge short neighbours in a section, split long ones at sentence ends
+function toPassages(blocks) {
+  const out = [];
+  let cur = null;
+  const flush = () => { if (cur) out.push(cur); cur = null; };
+  for (const { section, text } of blocks) {
+    for (const sentence of text.split(/(?<=[.!?])\s+/)) {
+      if (cur && (cur.section !== section || cur.text.length + sentence.length + 1 > PASSAGE_MAX)) flush();
+      if (!cur) cur = { section, text: sentence };
+      else cur.text += ` ${sentence}`;
+    }
+    if (cur && cur.text.length >= PASSAGE_MIN) flush();
+  }
+  flush();
+  return out;
+}
+
+async function listDocs(dir) {
+  const out = [];
+  for (const ent of await fs.readdir(dir, { withFileTypes: true })) {
+    const p = path.join(dir, ent.name);
+    if (ent.isDirectory()) out.push(...await listDocs(p));
+    else if (DOC_EXT.test(ent.name)) out.push(p);
+  }
+  return out;
+}
+
+async function loadDoc(file, root) {
+  const raw = await fs.readFile(file, "utf8");
+  const rel = path.relative(root, file).split(path.sep).join("/");
+  let title = path.basename(file).replace(DOC_EXT, "");
+  let blocks;
+  if (/\.html?$/i.test(file)) {
+    const page = htmlToText(raw);
+    if (page.title) title = page.title;
+    blocks = plainBlocks(page.text);
+  } else if (/\.(md|markdown)$/i.test(file)) {
+    blocks = markdownBlocks(raw);
+    const h1 = /^\s{0,3}#\s+(.+)$/m.exec(raw);
+    if (h1) title = h1[1].trim();
+  } else {
+    blocks = plainBlocks(raw);
+  }
+  return toPassages(blocks).map((p, i) => ({ id: `${rel}#${i + 1}`, title, ...p }));
+}
+
+function buildIndex(passages) {
+  const postings = new Map(); // term -> [[passageIndex, tf], …]
+  const lengths = new Array(passages.length);
+  passages.forEach((p, i) => {
+    const tokens = tokenize(`${p.section} ${p.text}`);
+    lengths[i] = tokens.length;
+    const tf = new Map();
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    for (const [t, n] of tf) {
+      if (!postings.has(t)) postings.set(t, []);
+      postings.get(t).push([i, n]);
+    }
+  });
+  const avgLen = lengths.reduce((a, b) => a + b, 0) / (lengths.length || 1);
+  return { passages, postings, lengths, avgLen };
+}
+
+function searchIndex(index, query, limit) {
+  const N = index.passages.length;
+  const scores = new Map();
+  for (const t of new Set(tokenize(query))) {
+    const list = index.postings.get(t);
+    if (!list) continue;
+    const idf = Math.log(1 + (N - list.length + 0.5) / (list.length + 0.5));
+    for (const [i, tf] of list) {
+      const norm = tf * (K1 + 1) / (tf + K1 * (1 - B + B * index.lengths[i] / index.avgLen));
+      scores.set(i, (scores.get(i) || 0) + idf * norm);
+    }
+  }
+  return [...scores]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([i, score]) => ({ ...index.passages[i], score: Math.round(score * 100) / 100 }));
+}
+
+export function createKnowledgeBase({ dir = "" } = {}) {
+  let indexes = new Map(); // sym -> index
+  let builtAt = null;
+
+  return {
+    // (Re)build every Sym's index from disk -> { syms: { sym: passages }, ms }
+    async build() {
+      const started = Date.now();
+      const next = new Map();
+      try {
+        const entries = dir ? await fs.readdir(dir, { withFileTypes: true }).catch((e) => {
+          if (e.code === "ENOENT") return [];
+          throw e;
+        }) : [];
+        for (const ent of entries) {
+          if (!ent.isDirectory()) continue;
+          const root = path.join(dir, ent.name);
+          const passages = [];
+          for (const file of (await listDocs(root)).sort()) passages.push(...await loadDoc(file, root));
+          if (passages.length) next.set(ent.name, buildIndex(passages));
+        }
+      } catch (e) {
+        log.error("Knowledge base build failed; keeping previous index", { error: e?.message || String(e) });
+        throw e;
+      }
+      indexes = next;
+      builtAt = new Date();
+      const syms = Object.fromEntries([...next].map(([s, ix]) => [s, ix.passages.length]));
+      log.info("Knowledge base indexed", { syms, ms: Date.now() - started });
+      return { syms, ms: Date.now() - started };
+    },
+
+    // Best passages for a Sym's callers (sym without docs -> "default")
+    search(sym, query, { limit = 3 } = {}) {
+      const scope = sym && indexes.has(sym) ? sym : "default";
+      const index = indexes.get(scope);
+      return { scope, results: index ? searchIndex(index, query, limit) : [] };
+    },
+
+    stats() {
+      return {
+        builtAt: builtAt && builtAt.toISOString(),
+        syms: Object.fromEntries([...indexes].map(([s, ix]) => [s, ix.passages.length]))
+      };
+    }
+  };
+}
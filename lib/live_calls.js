@@ -0,0 +1,41 @@
+// /lib/live_calls.js  (ESM)
+// Calls connected to this process, for metrics, draining and the
+// /admin/calls routes. Each connection registers an entry on connect and
+// removes it when its caller socket closes. Entries get an id here; lookups
+// also accept the call's CallSid or streamSid once the stream has started.
+
+import crypto from "node:crypto";
+
+export function createLiveCallRegistry() {
+  const entries = new Map(); // id -> entry
+
+  return {
+    add(entry) {
+      entry.id = `lc_${crypto.randomUUID().replace(/-/g, "").slice(0, 16)}`;
+      entries.set(entry.id, entry);
+      return entry;
+    },
+
+    delete(entry) {
+      return entries.delete(entry.id);
+    },
+
+    get(id) {
+      if (!id) return null;
+      if (entries.has(id)) return entries.get(id);
+      for (const e of entries.values()) {
+        const { callSid, streamSid } = e.info();
+        if (id === callSid || id === streamSid) return e;
+      }
+      return null;
+    },
+
+    get size() {
+      return entries.size;
+    },
+
+    [Symbol.iterator]() {
+      return entries.values();
+    }
+  };
+}
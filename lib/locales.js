@@ -0,0 +1,126 @@
+// /lib/locales.js  (ESM)
+// Built-in call locales: the language rule added to session instructions,
+// the transcription language, the bridge's own spoken lines (greeting,
+// reprompt, goodbyes) and the Twilio <Say> voice for the apology read out
+// when OpenAI is unreachable. Personas override any of the lines per locale
+// (persona `locales:`), and can add locales of their own.
+//
+// detectLocale() guesses a caller's language from a transcript with word and
+// letter markers — enough to tell the built-in languages apart on a typical
+// first sentence, and deliberately silent when unsure.
+
+export const DEFAULT_LOCALE = "en-GB";
+
+export const BUILTIN_LOCALES = {
+  "en-GB": {
+    name: "British English",
+    language: "en",
+    instruction: "Respond only in British English (en-GB). This overrides any other instruction about which language to use.",
+    say: { language: "en-GB", voice: "Polly.Amy" },
+    greeting: {
+      default: "Hello — how can I help today?",
+      sym: "Hello — you’re connected to {sym}. How can I help today?",
+      assistant: "Hello — you’re connected to our SmartFlows assistant. How can I help today?"
+    },
+    no_input: {
+      reprompt: "Are you still there?",
+      goodbye: "I haven't heard anything, so I'll end the call now. Goodbye."
+    },
+    max_duration: {
+      warning: "Just so you know, we're nearly out of time on this call.",
+      goodbye: "We've reached the time limit for this call. Thank you for calling, goodbye."
+    },
+    shutdown_goodbye: "Sorry, I have to end the call now. Please call back in a moment. Goodbye.",
+    unavailable: "Sorry, we're having technical difficulties. Please call back shortly. Goodbye."
+  },
+  "cy-GB": {
+    name: "Welsh",
+    language: "cy",
+    instruction: "Respond only in Welsh (Cymraeg, cy-GB). This overrides any other instruction about which language to use.",
+    say: { language: "cy-GB", voice: "Polly.Gwyneth" },
+    greeting: {
+      default: "Helo — sut alla i helpu heddiw?",
+      sym: "Helo — rydych chi wedi cysylltu â {sym}. Sut alla i helpu heddiw?",
+      assistant: "Helo — rydych chi wedi cysylltu â chynorthwyydd SmartFlows. Sut alla i helpu heddiw?"
+    },
+    no_input: {
+      reprompt: "Ydych chi dal yna?",
+      goodbye: "Dw i ddim wedi clywed dim byd, felly bydda i'n dod â'r alwad i ben nawr. Hwyl fawr."
+    },
+    max_duration: {
+      warning: "Dim ond i chi wybod, mae bron yn amser i ni orffen yr alwad hon.",
+      goodbye: "Rydyn ni wedi cyrraedd y terfyn amser ar gyfer yr alwad hon. Diolch am ffonio, hwyl fawr."
+    },
+    shutdown_goodbye: "Mae'n ddrwg gen i, mae'n rhaid i mi ddod â'r alwad i ben nawr. Ffoniwch yn ôl mewn munud. Hwyl fawr.",
+    unavailable: "Mae'n ddrwg gen i, mae gennym ni broblemau technegol. Ffoniwch yn ôl cyn bo hir. Hwyl fawr."
+  },
+  "pl-PL": {
+    name: "Polish",
+    language: "pl",
+    instruction: "Respond only in Polish (polski, pl-PL). This overrides any other instruction about which language to use.",
+    say: { language: "pl-PL", voice: "Polly.Ewa" },
+    greeting: {
+      default: "Dzień dobry — w czym mogę pomóc?",
+      sym: "Dzień dobry — połączono z {sym}. W czym mogę pomóc?",
+      assistant: "Dzień dobry — połączono z asystentem SmartFlows. W czym mogę pomóc?"
+    },
+    no_input: {
+      reprompt: "Czy jest Pan lub Pani nadal na linii?",
+      goodbye: "Nic nie słyszę, więc zakończę teraz rozmowę. Do widzenia."
+    },
+    max_duration: {
+      warning: "Informuję, że czas tej rozmowy zaraz się skończy.",
+      goodbye: "Osiągnęliśmy limit czasu tej rozmowy. Dziękuję za telefon, do widzenia."
+    },
+    shutdown_goodbye: "Przepraszam, muszę teraz zakończyć rozmowę. Proszę zadzwonić ponownie za chwilę. Do widzenia.",
+    unavailable: "Przepraszamy, mamy problemy techniczne. Proszę zadzwonić ponownie za chwilę. Do widzenia."
+  }
+};
+
+// "cy", "CY_gb", "pl-pl" -> "cy-GB", "pl-PL"; other tags are tidied
+// (language lower case, region upper case) but kept; "" for nonsense
+export function normaliseLocale(tag) {
+  const m = /^([a-z]{2,3})(?:[-_]([a-z]{2}))?$/i.exec(String(tag || "").trim());
+  if (!m) return "";
+  const lang = m[1].toLowerCase();
+  if (!m[2]) return Object.keys(BUILTIN_LOCALES).find((k) => k.startsWith(`${lang}-`)) || lang;
+  return `${lang}-${m[2].toUpperCase()}`;
+}
+
+// Marker words (lower case) and letters per language; English function words
+// keep English callers from drifting into a match on a loan word
+const MARKERS = {
+  "en-GB": {
+    words: ["the", "and", "is", "are", "you", "i", "i'm", "my", "to", "for", "hello", "hi", "please", "can",
+      "could", "would", "want", "what", "when", "yes", "thanks", "thank", "calling", "about", "with", "need"],
+    letters: null
+  },
+  "cy-GB": {
+    words: ["bore", "prynhawn", "noswaith", "da", "shwmae", "sut", "mae", "diolch", "ydw", "dw", "dwi", "rydw",
+      "ydych", "chi", "yn", "eisiau", "isio", "gyda", "siarad", "cymraeg", "ga", "alla", "hoffwn", "beth",
+      "pryd", "ble", "helo", "os", "gwelwch", "dda", "fy", "efo", "nag", "oes", "hwyl", "fawr", "ydi"],
+    letters: /[ŵŷ]/
+  },
+  "pl-PL": {
+    words: ["dzień", "dobry", "proszę", "prosze", "czy", "nie", "jest", "tak", "dziękuję", "dziekuje", "chciałbym",
+      "chciałabym", "mam", "się", "jak", "mogę", "moge", "pan", "pani", "witam", "chcę", "chce", "numer", "gdzie",
+      "kiedy", "dlaczego", "bardzo", "jestem", "mój", "moja", "żeby", "zamówienie"],
+    letters: /[ąćęłńśźż]/
+  }
+};
+const MIN_SCORE = 2;
+
+// -> the most likely of `candidates` (built-in locales), or null when no
+// language clearly leads
+export function detectLocale(text, candidates = Object.keys(MARKERS)) {
+  const lower = String(text || "").toLowerCase();
+  const words = lower.match(/[\p{L}']+/gu) || [];
+  const scores = candidates.filter((c) => MARKERS[c]).map((code) => {
+    const { words: list, letters } = MARKERS[code];
+    const hits = words.filter((w) => list.includes(w)).length;
+    return { code, score: hits + (letters?.test(lower) ? 2 : 0) };
+  }).sort((a, b) => b.score - a.score);
+  const [best, next] = scores;
+  if (!best || best.score < MIN_SCORE || (next && best.score - next.score < 1)) return null;
+  return best.code;
+}
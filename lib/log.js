@@ -0,0 +1,50 @@
+// /lib/log.js  (ESM)
+// Structured JSON logs, one object per line:
+//   {"ts":"…","level":"info","msg":"Stream started","streamSid":"MZ…","callSid":"CA…","persona":"amy",…}
+//
+// LOG_LEVEL = debug | info | warn | error (default info). A child logger adds
+// fixed fields (e.g. a call's ids); bind() adds more once they are known.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Errors don't JSON.stringify; keep their message (and code)
+function plain(v) {
+  if (v instanceof Error) return v.code ? { message: v.message, code: v.code } : v.message;
+  return v;
+}
+
+export function createLogger({ level = "info", fields = {}, write = (line) => process.stdout.write(line + "\n") } = {}) {
+  const min = LEVELS[level] ?? LEVELS.info;
+  const bound = { ...fields };
+
+  function emit(lvl, msg, extra) {
+    if (LEVELS[lvl] < min) return;
+    const rec = { ts: new Date().toISOString(), level: lvl, msg, ...bound };
+    if (extra) for (const [k, v] of Object.entries(extra)) if (v !== undefined) rec[k] = plain(v);
+    let line;
+    try { line = JSON.stringify(rec); }
+    catch { line = JSON.stringify({ ts: rec.ts, level: lvl, msg, note: "unserialisable fields" }); }
+    write(line);
+  }
+
+  return {
+    level,
+    debug: (msg, extra) => emit("debug", msg, extra),
+    info: (msg, extra) => emit("info", msg, extra),
+    warn: (msg, extra) => emit("warn", msg, extra),
+    error: (msg, extra) => emit("error", msg, extra),
+    isDebug: () => min <= LEVELS.debug,
+
+    // Add fields to every later line from this logger (null/"" values are skipped)
+    bind(more) {
+      for (const [k, v] of Object.entries(more)) if (v !== undefined && v !== null && v !== "") bound[k] = v;
+    },
+
+    child(more = {}) {
+      return createLogger({ level, fields: { ...bound, ...more }, write });
+    }
+  };
+}
+
+// Process-wide logger; modules log through this or a child of it
+export const log = createLogger({ level: String(process.env.LOG_LEVEL || "info").toLowerCase() });
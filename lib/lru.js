@@ -0,0 +1,27 @@
+// /lib/lru.js  (ESM)
+// Small LRU cache with a per-entry TTL (Map insertion order = recency).
+
+export function createLru({ max = 100, ttlMs = 0 } = {}) {
+  const map = new Map(); // key -> { value, expires }
+
+  return {
+    get(key) {
+      const e = map.get(key);
+      if (!e) return undefined;
+      map.delete(key);
+      if (e.expires && e.expires <= Date.now()) return undefined;
+      map.set(key, e); // most recently used goes last
+      return e.value;
+    },
+
+    set(key, value) {
+      map.delete(key);
+      map.set(key, { value, expires: ttlMs ? Date.now() + ttlMs : 0 });
+      while (map.size > max) map.delete(map.keys().next().value);
+    },
+
+    delete(key) { map.delete(key); },
+    clear() { map.clear(); },
+    get size() { return map.size; }
+  };
+}
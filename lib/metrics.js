@@ -0,0 +1,83 @@
+// /lib/metrics.js  (ESM)
+// Minimal Prometheus metrics (text exposition format 0.0.4): counters,
+// gauges and histograms with labels. Gauges may instead be computed at
+// scrape time with collect().
+
+const escapeLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, "\\\"");
+
+function labelText(names, values, extra = "") {
+  const parts = names.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+const keyOf = (names, labels = {}) => names.map((n) => labels[n] ?? "").join("\u0000");
+
+export function createMetricsRegistry({ prefix = "" } = {}) {
+  const metrics = [];
+
+  function register(type, name, help, labelNames, extra = {}) {
+    const m = { type, name: prefix + name, help, labelNames, series: new Map(), ...extra };
+    metrics.push(m);
+    return m;
+  }
+
+  function series(m, labels, init) {
+    const k = keyOf(m.labelNames, labels);
+    if (!m.series.has(k)) m.series.set(k, { values: m.labelNames.map((n) => labels?.[n] ?? ""), ...init() });
+    return m.series.get(k);
+  }
+
+  return {
+    counter(name, help, labelNames = []) {
+      const m = register("counter", name, help, labelNames);
+      return {
+        inc(labels = {}, v = 1) { series(m, labels, () => ({ v: 0 })).v += v; }
+      };
+    },
+
+    gauge(name, help, labelNames = [], { collect } = {}) {
+      const m = register("gauge", name, help, labelNames, { collect });
+      return {
+        set(labels = {}, v) { series(m, labels, () => ({ v: 0 })).v = v; },
+        inc(labels = {}, v = 1) { series(m, labels, () => ({ v: 0 })).v += v; },
+        dec(labels = {}, v = 1) { series(m, labels, () => ({ v: 0 })).v -= v; }
+      };
+    },
+
+    histogram(name, help, { buckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10], labelNames = [] } = {}) {
+      const m = register("histogram", name, help, labelNames, { buckets });
+      return {
+        observe(labels = {}, v) {
+          const s = series(m, labels, () => ({ counts: new Array(buckets.length).fill(0), sum: 0, count: 0 }));
+          for (let i = 0; i < buckets.length; i++) if (v <= buckets[i]) s.counts[i]++;
+          s.sum += v;
+          s.count++;
+        }
+      };
+    },
+
+    // Prometheus text format
+    render() {
+      const out = [];
+      for (const m of metrics) {
+        out.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+        if (m.collect) {
+          for (const [labels, v] of m.collect()) out.push(`${m.name}${labelText(m.labelNames, m.labelNames.map((n) => labels[n] ?? ""))} ${v}`);
+          continue;
+        }
+        for (const s of m.series.values()) {
+          if (m.type !== "histogram") {
+            out.push(`${m.name}${labelText(m.labelNames, s.values)} ${s.v}`);
+            continue;
+          }
+          m.buckets.forEach((b, i) => out.push(`${m.name}_bucket${labelText(m.labelNames, s.values, `le="${b}"`)} ${s.counts[i]}`));
+          out.push(`${m.name}_bucket${labelText(m.labelNames, s.values, 'le="+Inf"')} ${s.count}`);
+          out.push(`${m.name}_sum${labelText(m.labelNames, s.values)} ${s.sum}`);
+          out.push(`${m.name}_count${labelText(m.labelNames, s.values)} ${s.count}`);
+        }
+      }
+      return out.join("\n") + "\n";
+    }
+  };
+}
@@ -0,0 +1,37 @@
+// /lib/no_input.js  (ESM)
+// No-input watchdog for one call. The bridge arms it whenever the floor
+// passes to the caller (the assistant's audio has played out and nothing
+// else is pending) and disarms it on caller speech, keypad input or a new
+// response. Each timeout reprompts; once maxReprompts reprompts have gone
+// unanswered the next timeout gives up. Real caller input resets the count.
+
+export function createNoInputTimer({ timeoutMs, maxReprompts, onReprompt, onGiveUp }) {
+  let timer = null;
+  let reprompts = 0;
+
+  function fire() {
+    timer = null;
+    if (reprompts < maxReprompts) onReprompt(++reprompts);
+    else onGiveUp();
+  }
+
+  return {
+    armed: () => Boolean(timer),
+
+    // Start counting unless already counting (timeoutMs 0 = off)
+    arm() {
+      if (timeoutMs > 0 && !timer) timer = setTimeout(fire, timeoutMs);
+    },
+
+    disarm() {
+      clearTimeout(timer);
+      timer = null;
+    },
+
+    // The caller said or pressed something
+    heard() {
+      reprompts = 0;
+      this.disarm();
+    }
+  };
+}
@@ -0,0 +1,289 @@
+// /lib/personas.js  (ESM)
+// Persona registry: instructions, voice, greeting, VAD, transcription and the
+// allowed tool subset per agent, keyed by persona id and any pmpt_ aliases.
+// A persona speaks in its `locale` (default en-GB); localise() gives the same
+// persona in another locale, with that locale's lines (lib/locales.js, then
+// the persona's `locales:` overrides), transcription language and voice.
+//
+// Sources:
+//   - a directory of .json / .yaml / .yml files (one persona, or an array, per
+//     file), watched and hot-reloaded on change
+//   - the Sym API (`GET {SYM_API_URL}/personas`), polled every refreshMs
+// A bad reload keeps the previous personas. Unknown ids resolve to "default".
+
+import fs from "node:fs";
+import path from "node:path";
+import YAML from "yaml";
+import { log } from "./log.js";
+import { DTMF_KEY } from "./dtmf.js";
+import { BUILTIN_LOCALES, DEFAULT_LOCALE, normaliseLocale } from "./locales.js";
+
+const EN = BUILTIN_LOCALES[DEFAULT_LOCALE];
+
+// Used when no "default" persona is configured anywhere
+export const BUILTIN_DEFAULT = {
+  id: "default",
+  name: "SmartFlows agent",
+  instructions:
+    "You are the SmartFlows phone agent. " +
+    "Keep replies to 1–2 short sentences and end with a helpful question when appropriate.",
+  voice: "alloy",
+  // Language of the call (the session's language rule and transcription
+  // language follow it); a "locale" stream parameter overrides it per call
+  locale: DEFAULT_LOCALE,
+  // Switch locale from the caller's first words (built-in locales only)
+  detect_language: false,
+  locales: {}, // per-locale overrides: { "cy-GB": { greeting, voice, no_input: { reprompt }, … } }
+  greeting: { ...EN.greeting },
+  vad: { threshold: 0.85, prefix_padding_ms: 200, silence_duration_ms: 800 },
+  transcription: { model: "gpt-4o-transcribe" }, // language comes from the locale
+  tools: null, // null = every registered tool except call control (transfer_call, end_call)
+  transfer_targets: {},
+  record: false,
+  dtmf: {}, // keypad timeouts, terminators and per-key actions (see normaliseDtmf)
+  // Caller silence: reprompt after timeout_s, end the call after `reprompts` unanswered (timeout_s 0 = off)
+  no_input: { timeout_s: 10, reprompts: 2, ...EN.no_input },
+  // Said to calls still up when a deploy's drain deadline passes
+  shutdown_goodbye: EN.shutdown_goodbye,
+  // Hard call length limit, with a warning warning_s before it (limit_s 0 = off)
+  max_duration: { limit_s: 3600, warning_s: 60, ...EN.max_duration }
+};
+
+// transfer_targets: { name: "+44…" | "sip:…" | { to, description } }
+function normaliseTargets(raw, source, id) {
+  const out = {};
+  for (const [name, v] of Object.entries(raw || {})) {
+    const to = String(typeof v === "object" && v ? v.to || "" : v || "").trim();
+    if (!/^(\+[1-9]\d{6,14}|sips?:\S+)$/.test(to)) {
+      throw new Error(`${source}: persona "${id}" transfer target "${name}" must be an E.164 number or sip: URI`);
+    }
+    out[name] = { to, description: typeof v === "object" && v.description ? String(v.description) : "" };
+  }
+  return out;
+}
+
+// dtmf: { inter_digit_timeout_ms, first_digit_timeout_ms, terminators: "#",
+//         actions: { "0": { action: "transfer", target }, "#": "repeat",
+//                    "9": "hangup", "1": { action: "message", text } } }
+const DTMF_ACTIONS = new Set(["transfer", "hangup", "repeat", "message"]);
+
+function normaliseDtmf(raw, targets, source, id) {
+  const d = raw || {};
+  const actions = {};
+  for (const [key, v] of Object.entries(d.actions || {})) {
+    const a = typeof v === "string" ? { action: v } : { ...(v || {}) };
+    const where = `${source}: persona "${id}" dtmf action for "${key}"`;
+    if (!DTMF_KEY.test(key)) throw new Error(`${where}: not a keypad key`);
+    if (!DTMF_ACTIONS.has(a.action)) throw new Error(`${where}: action must be one of ${[...DTMF_ACTIONS].join(", ")}`);
+    if (a.action === "transfer" && !targets[a.target]) throw new Error(`${where}: unknown transfer target "${a.target}"`);
+    if (a.action === "message" && !a.text) throw new Error(`${where}: "message" needs text`);
+    actions[key] = a;
+  }
+  return {
+    interDigitMs: Number(d.inter_digit_timeout_ms) || 3000,
+    firstDigitMs: Number(d.first_digit_timeout_ms) || 10000,
+    terminators: typeof d.terminators === "string" ? d.terminators : "#",
+    actions
+  };
+}
+
+// locales: { "<tag>": { name, language, instruction, voice, say_voice, greeting,
+//   no_input: { reprompt, goodbye }, max_duration: { warning, goodbye },
+//   shutdown_goodbye, unavailable } } — every field optional; tags are
+// normalised ("cy" -> "cy-GB")
+function normaliseLocales(raw, source, id) {
+  const out = {};
+  for (const [tag, v] of Object.entries(raw || {})) {
+    const code = normaliseLocale(tag);
+    if (!code) throw new Error(`${source}: persona "${id}" locale "${tag}" is not a language tag (e.g. cy-GB)`);
+    if (!v || typeof v !== "object") throw new Error(`${source}: persona "${id}" locale "${tag}" must be an object`);
+    out[code] = v;
+  }
+  return out;
+}
+
+// Lines that belong to a language; in another locale the persona's own are dropped
+const LINE_KEYS = { no_input: ["reprompt", "goodbye"], max_duration: ["warning", "goodbye"] };
+const withoutLines = (obj, key) => Object.fromEntries(Object.entries(obj || {}).filter(([k]) => !LINE_KEYS[key].includes(k)));
+const greetingOf = (g) => (typeof g === "string" ? { default: g, sym: g, assistant: g } : (g || {}));
+
+const seconds = (v, fallback) => (Number.isFinite(Number(v)) && Number(v) >= 0 ? Number(v) * 1000 : fallback * 1000);
+
+function normaliseNoInput(raw) {
+  const d = { ...BUILTIN_DEFAULT.no_input, ...(raw || {}) };
+  return {
+    timeoutMs: seconds(d.timeout_s, BUILTIN_DEFAULT.no_input.timeout_s),
+    reprompts: Math.max(0, Math.trunc(Number(d.reprompts) || 0)),
+    reprompt: String(d.reprompt),
+    goodbye: String(d.goodbye)
+  };
+}
+
+function normaliseMaxDuration(raw) {
+  const d = { ...BUILTIN_DEFAULT.max_duration, ...(raw || {}) };
+  return {
+    limitMs: seconds(d.limit_s, BUILTIN_DEFAULT.max_duration.limit_s),
+    warningMs: seconds(d.warning_s, BUILTIN_DEFAULT.max_duration.warning_s),
+    warning: String(d.warning),
+    goodbye: String(d.goodbye)
+  };
+}
+
+// localeTag: build the persona in that locale rather than its own
+function normalisePersona(raw, source, localeTag = "") {
+  if (!raw || typeof raw !== "object") throw new Error(`${source}: persona must be an object`);
+  const id = String(raw.id || "").trim();
+  if (!id) throw new Error(`${source}: persona is missing "id"`);
+  if (!raw.instructions || typeof raw.instructions !== "string") {
+    throw new Error(`${source}: persona "${id}" is missing "instructions"`);
+  }
+  const transferTargets = normaliseTargets(raw.transfer_targets, source, id);
+
+  // Lines for the locale: its `locales:` entry, then (in the persona's own
+  // locale) the top-level fields, then the built-in locale, then en-GB
+  const home = raw.locale == null ? DEFAULT_LOCALE : normaliseLocale(raw.locale);
+  if (!home) throw new Error(`${source}: persona "${id}" locale "${raw.locale}" is not a language tag (e.g. cy-GB)`);
+  const locales = normaliseLocales(raw.locales, source, id);
+  const code = normaliseLocale(localeTag) || home;
+  const own = code === home;
+  const entry = locales[code] || {};
+  const known = BUILTIN_LOCALES[code];
+  const builtin = known || EN;
+  const lines = (key) => ({ ...builtin[key], ...(own ? raw[key] : withoutLines(raw[key], key)), ...entry[key] });
+  const localeName = entry.name || known?.name || code;
+
+  return {
+    id,
+    aliases: Array.isArray(raw.aliases) ? raw.aliases.map(String) : [],
+    name: raw.name || id,
+    instructions: raw.instructions,
+    voice: entry.voice || raw.voice || BUILTIN_DEFAULT.voice,
+    // A plain string greeting is used whatever the sym; an object may vary it
+    greeting: { ...builtin.greeting, ...(own ? greetingOf(raw.greeting) : {}), ...greetingOf(entry.greeting) },
+    vad: { ...BUILTIN_DEFAULT.vad, ...(raw.vad || {}) },
+    transcription: {
+      ...BUILTIN_DEFAULT.transcription,
+      ...(raw.transcription || {}),
+      language: entry.language || known?.language || code.split("-")[0]
+    },
+    tools: Array.isArray(raw.tools) ? raw.tools.map(String) : null,
+    transferTargets,
+    urlAllowlist: Array.isArray(raw.url_allowlist) ? raw.url_allowlist.map(String) : [], // search_web; empty = any public URL
+    record: raw.record === true, // stereo WAV of every call (a "record" stream parameter overrides)
+    dtmf: normaliseDtmf(raw.dtmf, transferTargets, source, id),
+    noInput: normaliseNoInput(lines("no_input")),
+    maxDuration: normaliseMaxDuration(lines("max_duration")),
+    shutdownGoodbye: String(entry.shutdown_goodbye || (own && raw.shutdown_goodbye) || builtin.shutdown_goodbye),
+    locale: {
+      code,
+      name: localeName,
+      instruction: String(entry.instruction || known?.instruction ||
+        `Respond only in ${localeName} (${code}). This overrides any other instruction about which language to use.`),
+      // Twilio <Say> for the apology when OpenAI can't be reached
+      say: known ? { ...known.say, ...(entry.say_voice ? { voice: entry.say_voice } : {}) } : { language: code, voice: entry.say_voice || "" },
+      unavailable: String(entry.unavailable || builtin.unavailable)
+    },
+    locales: Object.keys(locales), // locales with persona overrides
+    detectLanguage: raw.detect_language === true,
+    raw, // localise() rebuilds from it
+    source
+  };
+}
+
+function parseFile(file) {
+  const text = fs.readFileSync(file, "utf8");
+  const data = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  return (Array.isArray(data) ? data : [data]).map((p) => normalisePersona(p, path.basename(file)));
+}
+
+function loadDir(dir) {
+  const files = fs.readdirSync(dir).filter((f) => /\.(json|ya?ml)$/i.test(f)).sort();
+  return files.flatMap((f) => parseFile(path.join(dir, f)));
+}
+
+async function loadApi(apiUrl, apiKey) {
+  const headers = { Accept: "application/json" };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+  const resp = await fetch(`${apiUrl.replace(/\/+$/, "")}/personas`, { headers, signal: AbortSignal.timeout(10000) });
+  if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+  const j = await resp.json();
+  const list = Array.isArray(j) ? j : (j.personas || []);
+  return list.map((p, i) => normalisePersona(p, `api[${i}]`));
+}
+
+// The persona in another locale: a built-in one or one of its `locales:`.
+// Anything else (or its own locale) leaves it as it is.
+export function localise(persona, tag) {
+  const code = normaliseLocale(tag);
+  if (!code || code === persona.locale.code) return persona;
+  if (!BUILTIN_LOCALES[code] && !persona.locales.includes(code)) return persona;
+  return normalisePersona(persona.raw, persona.source, code);
+}
+
+// Greeting text for a call; sym may be an OpenAI Assistant id (asst_…)
+export function greetingFor(persona, sym) {
+  const g = persona.greeting;
+  if (sym && sym.startsWith("asst_")) return g.assistant || g.default;
+  if (sym && g.sym) return g.sym.replace(/\{sym\}/g, sym);
+  return g.default;
+}
+
+export function createPersonaRegistry({ source = "dir", dir = "", apiUrl = "", apiKey = "", refreshMs = 60000 } = {}) {
+  let byId = new Map();
+  let watcher = null;
+  let timer = null;
+  let reloadTimer = null;
+
+  function install(list) {
+    const next = new Map();
+    for (const p of list) {
+      next.set(p.id, p);
+      for (const a of p.aliases) next.set(a, p);
+    }
+    if (!next.has("default")) next.set("default", normalisePersona(BUILTIN_DEFAULT, "builtin"));
+    byId = next;
+    log.info("Personas loaded", { personas: list.map((p) => p.id) });
+  }
+
+  async function reload() {
+    try {
+      if (source === "api") install(apiUrl ? await loadApi(apiUrl, apiKey) : []);
+      else install(dir && fs.existsSync(dir) ? loadDir(dir) : []);
+    } catch (e) {
+      log.error("Persona reload failed; keeping previous set", { error: e?.message || String(e) });
+      if (!byId.size) install([]);
+    }
+  }
+
+  return {
+    async start() {
+      await reload();
+      if (source === "api") {
+        timer = setInterval(reload, refreshMs);
+        timer.unref();
+      } else if (dir && fs.existsSync(dir)) {
+        // Debounced: editors fire several events per save
+        watcher = fs.watch(dir, () => {
+          clearTimeout(reloadTimer);
+          reloadTimer = setTimeout(reload, 250);
+        });
+        watcher.unref();
+      }
+    },
+
+    reload,
+
+    // Resolve a pmpt / persona id; unknown or empty ids fall back to "default"
+    get(id) {
+      if (id && byId.has(id)) return byId.get(id);
+      if (id) log.warn("Unknown persona, using default", { pmpt: id });
+      return byId.get("default");
+    },
+
+    stop() {
+      watcher?.close();
+      clearInterval(timer);
+      clearTimeout(reloadTimer);
+    }
+  };
+}
@@ -0,0 +1,83 @@
+// /lib/playback.js  (ESM)
+// Playback position from Twilio "mark" echoes.
+//
+// The pacer sends a mark whenever it reaches an item/response boundary in the
+// outbound queue; Twilio echoes each mark once the audio before it has been
+// played to the caller. From that we know, per assistant item, how many
+// milliseconds the caller actually heard, and when the assistant stopped
+// speaking aloud (the last response-end mark echoed).
+
+export function makePlaybackTracker({ frameMs = 20, onSpeakingChange = () => {} } = {}) {
+  let seq = 0;
+  let framesSent = 0;           // frames handed to Twilio since the last reset
+  const pending = new Map();    // mark name -> boundary entry
+  const items = new Map();      // itemId -> { startFrame, endFrame, heardStartAt, heardEnd }
+  let currentItemId = null;     // last item whose start mark was sent
+  let speaking = false;
+
+  function setSpeaking(v) {
+    if (speaking === v) return;
+    speaking = v;
+    onSpeakingChange(v);
+  }
+
+  return {
+    // Pacer sent one audio frame
+    frameSent() { framesSent++; },
+
+    // Pacer reached a boundary marker; returns the mark name to send to Twilio
+    boundarySent(marker) {
+      const name = `${++seq}:${marker.kind}`;
+      pending.set(name, marker);
+      if (marker.kind === "item-start") {
+        if (items.size >= 50) items.delete(items.keys().next().value);
+        items.set(marker.itemId, { startFrame: framesSent, endFrame: null, heardStartAt: 0, heardEnd: false });
+        currentItemId = marker.itemId;
+      } else if (marker.kind === "item-end") {
+        const it = items.get(marker.itemId);
+        if (it) it.endFrame = framesSent;
+      }
+      return name;
+    },
+
+    // Twilio echoed a mark: everything queued before it has been heard
+    markEchoed(name) {
+      const marker = pending.get(name);
+      if (!marker) return; // stale (cleared by barge-in) or not ours
+      pending.delete(name);
+      const it = marker.itemId ? items.get(marker.itemId) : null;
+      if (marker.kind === "item-start" && it) {
+        it.heardStartAt = Date.now();
+        setSpeaking(true);
+      } else if (marker.kind === "item-end" && it) {
+        it.heardEnd = true;
+      } else if (marker.kind === "response-end") {
+        const moreQueued = [...pending.values()].some((m) => m.kind === "item-start");
+        if (!moreQueued) setSpeaking(false);
+      }
+    },
+
+    // Milliseconds of an item the caller has heard so far
+    playedMs(itemId) {
+      const it = items.get(itemId);
+      if (!it) return 0;
+      const sentMs = ((it.endFrame ?? framesSent) - it.startFrame) * frameMs;
+      if (it.heardEnd) return sentMs;
+      if (!it.heardStartAt) return 0;
+      return Math.max(0, Math.min(sentMs, Date.now() - it.heardStartAt));
+    },
+
+    currentItemId() { return currentItemId; },
+    isSpeaking() { return speaking; },
+    // Every mark sent so far has come back (all queued audio was played)
+    drained() { return pending.size === 0; },
+
+    // Playback was cleared: forget outstanding marks (their echoes are stale)
+    reset() {
+      pending.clear();
+      items.clear();
+      currentItemId = null;
+      setSpeaking(false);
+    }
+  };
+}
@@ -0,0 +1,164 @@
+// /lib/recorder.js  (ESM)
+// Per-call stereo recording: caller on the left, assistant on the right.
+//
+// Both channels are PCM16 at the carrier rate, placed on one wall-clock
+// timeline that starts with the stream. Caller chunks are recorded as they
+// arrive, assistant frames as the pacer actually sends them, so barge-in
+// cut-offs and pauses land where the caller heard them. A chunk that arrives
+// later than its channel's write position (beyond a little jitter) is
+// preceded by silence up to its wall-clock slot.
+//
+// While the call runs each channel streams to a .raw temp file; finish()
+// interleaves them into <dir>/<YYYY-MM-DD>/<name>.wav (+ .json metadata).
+
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { once } from "node:events";
+import { log as rootLog } from "./log.js";
+
+const JITTER_MS = 60;         // lateness absorbed without inserting silence
+const CHUNK_SAMPLES = 16384;  // interleave step when writing the WAV
+
+export function wavHeader({ rate, channels, samples }) {
+  const dataBytes = samples * channels * 2;
+  const h = Buffer.alloc(44);
+  h.write("RIFF", 0);
+  h.writeUInt32LE(36 + dataBytes, 4);
+  h.write("WAVE", 8);
+  h.write("fmt ", 12);
+  h.writeUInt32LE(16, 16);                 // fmt chunk size
+  h.writeUInt16LE(1, 20);                  // PCM
+  h.writeUInt16LE(channels, 22);
+  h.writeUInt32LE(rate, 24);
+  h.writeUInt32LE(rate * channels * 2, 28); // byte rate
+  h.writeUInt16LE(channels * 2, 32);        // block align
+  h.writeUInt16LE(16, 34);                  // bits per sample
+  h.write("data", 36);
+  h.writeUInt32LE(dataBytes, 40);
+  return h;
+}
+
+const safeName = (s) => String(s).replace(/[^A-Za-z0-9_-]/g, "_").slice(0, 80) || "call";
+
+export function createCallRecorder({ dir, name, rate, log = rootLog }) {
+  const startedAt = Date.now();
+  const day = new Date(startedAt).toISOString().slice(0, 10);
+  const outDir = path.join(dir, day);
+  fs.mkdirSync(outDir, { recursive: true });
+  const base = path.join(outDir, safeName(name));
+  const jitter = Math.round((JITTER_MS * rate) / 1000);
+
+  function channel(suffix) {
+    const file = `${base}.${suffix}.raw`;
+    const out = fs.createWriteStream(file);
+    out.on("error", (e) => log.error("Recording write failed", { file, error: e?.message || String(e) }));
+    return { file, out, cursor: 0 };
+  }
+  const caller = channel("caller");
+  const assistant = channel("assistant");
+  let finishing = null;
+
+  // startOffset: where the chunk begins relative to now, in samples
+  // (a received caller chunk has just ended; a sent assistant frame starts now)
+  function write(ch, int16, startOffset) {
+    if (finishing) return;
+    const slot = Math.floor(((Date.now() - startedAt) * rate) / 1000) + startOffset;
+    if (slot - ch.cursor > jitter) {
+      ch.out.write(Buffer.alloc((slot - ch.cursor) * 2));
+      ch.cursor = slot;
+    }
+    ch.out.write(Buffer.from(int16.buffer.slice(int16.byteOffset, int16.byteOffset + int16.byteLength)));
+    ch.cursor += int16.length;
+  }
+
+  async function interleave(samples) {
+    const wav = await fsp.open(`${base}.wav`, "w");
+    const left = await fsp.open(caller.file, "r");
+    const right = await fsp.open(assistant.file, "r");
+    try {
+      await wav.write(wavHeader({ rate, channels: 2, samples }));
+      const l = Buffer.alloc(CHUNK_SAMPLES * 2), r = Buffer.alloc(CHUNK_SAMPLES * 2);
+      const stereo = Buffer.alloc(CHUNK_SAMPLES * 4);
+      for (let pos = 0; pos < samples; pos += CHUNK_SAMPLES) {
+        const n = Math.min(CHUNK_SAMPLES, samples - pos);
+        l.fill(0); r.fill(0); // past a channel's end = silence
+        await left.read(l, 0, n * 2, pos * 2);
+        await right.read(r, 0, n * 2, pos * 2);
+        for (let i = 0; i < n; i++) {
+          stereo.writeInt16LE(l.readInt16LE(i * 2), i * 4);
+          stereo.writeInt16LE(r.readInt16LE(i * 2), i * 4 + 2);
+        }
+        await wav.write(stereo, 0, n * 4);
+      }
+    } finally {
+      await Promise.all([wav.close(), left.close(), right.close()]);
+    }
+  }
+
+  return {
+    file: `${base}.wav`,
+
+    caller(int16) { write(caller, int16, -int16.length); },
+    assistant(int16) { write(assistant, int16, 0); },
+
+    // Write the WAV once (later calls return the same promise) -> { file, durationMs }
+    finish(meta = {}) {
+      if (finishing) return finishing;
+      finishing = (async () => {
+        caller.out.end();
+        assistant.out.end();
+        await Promise.all([once(caller.out, "close"), once(assistant.out, "close")]);
+        const samples = Math.max(caller.cursor, assistant.cursor);
+        await interleave(samples);
+        await Promise.all([fsp.unlink(caller.file), fsp.unlink(assistant.file)]);
+        const durationMs = Math.round((samples * 1000) / rate);
+        await fsp.writeFile(`${base}.json`, JSON.stringify({
+          ...meta, rate, channels: { left: "caller", right: "assistant" },
+          startedAt: new Date(startedAt).toISOString(), durationMs
+        }, null, 2));
+        return { file: `${base}.wav`, durationMs };
+      })();
+      return finishing;
+    }
+  };
+}
+
+// Delete recordings (and leftover .raw files) older than maxAgeMs, then
+// empty day folders. Runs now and every intervalMs; a failed sweep is
+// logged, and a day folder that vanishes mid-sweep (another instance
+// cleaning the same volume) is skipped.
+export function startRecordingCleanup({ dir, maxAgeMs, intervalMs = 60 * 60 * 1000, log = rootLog }) {
+  async function sweepDay(dayDir, cutoff) {
+    let removed = 0;
+    for (const f of await fsp.readdir(dayDir)) {
+      const p = path.join(dayDir, f);
+      try {
+        if ((await fsp.stat(p)).mtimeMs < cutoff) { await fsp.unlink(p); removed++; }
+      } catch {}
+    }
+    if (!(await fsp.readdir(dayDir)).length) await fsp.rmdir(dayDir).catch(() => {});
+    return removed;
+  }
+
+  async function sweep() {
+    const cutoff = Date.now() - maxAgeMs;
+    let removed = 0;
+    let days = [];
+    try { days = await fsp.readdir(dir, { withFileTypes: true }); }
+    catch (e) { if (e.code !== "ENOENT") log.error("Recording cleanup failed", { error: e.message }); return; }
+    for (const d of days) {
+      if (!d.isDirectory()) continue;
+      try { removed += await sweepDay(path.join(dir, d.name), cutoff); }
+      catch (e) { if (e.code !== "ENOENT") log.warn("Recording cleanup skipped a folder", { dir: d.name, error: e.message }); }
+    }
+    if (removed) log.info("Old recordings removed", { files: removed });
+  }
+
+  // Never rejects: it runs from a timer
+  const run = () => sweep().catch((e) => log.warn("Recording cleanup failed", { error: e?.message || String(e) }));
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return { sweep: run, stop: () => clearInterval(timer) };
+}
@@ -0,0 +1,200 @@
+// /lib/safe_fetch.js  (ESM)
+// Fetch a public web page for a tool, without letting the model reach our own
+// network (SSRF):
+//
+// - http/https only, no credentials in the URL
+// - every address a host resolves to is checked against private, loopback,
+//   link-local, CGNAT, multicast and documentation ranges; the check runs in
+//   the socket's DNS lookup, so the address we check is the one we connect to;
+//   IPv6 forms that carry an IPv4 address (mapped, compatible, NAT64, 6to4)
+//   are checked as that IPv4 address
+// - redirects are followed by hand (max 5) and every hop is re-checked,
+//   including the caller's allowUrl()
+// - body capped at maxBytes after decompression; charset from the header,
+//   BOM or <meta>, decoded with TextDecoder
+
+import http from "node:http";
+import https from "node:https";
+import dns from "node:dns";
+import net from "node:net";
+import zlib from "node:zlib";
+
+const BLOCKED = new net.BlockList();
+for (const [addr, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.0.2.0", 24], ["192.88.99.0", 24], ["192.168.0.0", 16],
+  ["198.18.0.0", 15], ["198.51.100.0", 24], ["203.0.113.0", 24], ["224.0.0.0", 4], ["240.0.0.0", 4]
+]) BLOCKED.addSubnet(addr, prefix, "ipv4");
+for (const [addr, prefix] of [
+  ["100::", 64], ["2001:db8::", 32], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]
+]) BLOCKED.addSubnet(addr, prefix, "ipv6");
+
+// An IPv6 address (already valid per net.isIP) as its eight 16-bit words
+function ipv6Words(ip) {
+  let s = ip;
+  const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(s);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    s = s.slice(0, dotted.index) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = s.split("::");
+  const words = (x) => (x ? x.split(":").map((h) => parseInt(h, 16)) : []);
+  const hi = words(head), lo = words(tail);
+  return [...hi, ...new Array(8 - hi.length - lo.length).fill(0), ...lo];
+}
+
+// IPv4 embedded in IPv6, which dual-stack hosts reach as IPv4:
+// ::ffff:0:0/96 mapped, ::/96 IPv4-compatible (:: and ::1 included),
+// 64:ff9b::/96 NAT64 and 2002::/16 6to4 (the v4 address in words 1–2)
+function embeddedIPv4(ip) {
+  const w = ipv6Words(ip);
+  const v4 = (hi, lo) => `${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`;
+  const zero = (from, to) => w.slice(from, to).every((x) => x === 0);
+  if (zero(0, 5) && (w[5] === 0xffff || w[5] === 0)) return v4(w[6], w[7]);
+  if (w[0] === 0x64 && w[1] === 0xff9b && zero(2, 6)) return v4(w[6], w[7]);
+  if (w[0] === 0x2002) return v4(w[1], w[2]);
+  return null;
+}
+
+export function isPrivateAddress(ip) {
+  const family = net.isIP(ip);
+  if (family === 4) return BLOCKED.check(ip, "ipv4");
+  if (family === 6) {
+    const v4 = embeddedIPv4(ip);
+    return v4 ? BLOCKED.check(v4, "ipv4") : BLOCKED.check(ip, "ipv6");
+  }
+  return true; // not an address at all
+}
+
+// -> net/tls `lookup` hook: resolve, refuse if any address is blocked
+const guardedLookup = (isBlocked) => (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addrs) => {
+    if (err) return callback(err);
+    const bad = addrs.find((a) => isBlocked(a.address));
+    if (bad || !addrs.length) {
+      const e = new Error(`Blocked: ${hostname} resolves to a private address`);
+      e.code = "EBLOCKED";
+      return callback(e);
+    }
+    if (options.all) return callback(null, addrs);
+    callback(null, addrs[0].address, addrs[0].family);
+  });
+};
+
+function charsetOf(contentType, head) {
+  const fromHeader = /charset\s*=\s*"?([\w.:-]+)/i.exec(contentType || "");
+  if (fromHeader) return fromHeader[1];
+  if (head[0] === 0xef && head[1] === 0xbb && head[2] === 0xbf) return "utf-8";
+  if (head[0] === 0xff && head[1] === 0xfe) return "utf-16le";
+  if (head[0] === 0xfe && head[1] === 0xff) return "utf-16be";
+  const sniff = head.subarray(0, 2048).toString("latin1");
+  const meta = /<meta[^>]+charset\s*=\s*["']?([\w.:-]+)/i.exec(sniff);
+  return meta ? meta[1] : "utf-8";
+}
+
+// WHATWG treats latin1/ascii labels as windows-1252; Node 20's TextDecoder
+// decodes them as plain latin1, losing curly quotes, dashes, € etc. (0x80–0x9F)
+const CP1252_LABELS = new Set(["windows-1252", "cp1252", "x-cp1252", "iso-8859-1", "iso8859-1", "latin1", "l1", "us-ascii", "ascii"]);
+const CP1252_HIGH = "€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008dŽ\u008f\u0090‘’“”•–—˜™š›œ\u009džŸ";
+
+function decodeCp1252(buf) {
+  let out = "";
+  for (const b of buf) out += b >= 0x80 && b <= 0x9f ? CP1252_HIGH[b - 0x80] : String.fromCharCode(b);
+  return out;
+}
+
+export function decodeBody(buf, contentType) {
+  const charset = charsetOf(contentType, buf);
+  if (CP1252_LABELS.has(charset.toLowerCase())) return { charset, text: decodeCp1252(buf) };
+  try {
+    return { charset, text: new TextDecoder(charset).decode(buf) };
+  } catch {
+    return { charset: "utf-8", text: new TextDecoder("utf-8").decode(buf) }; // unknown label
+  }
+}
+
+function requestOnce(url, { maxBytes, timeoutMs, headers, isBlocked }) {
+  return new Promise((resolve, reject) => {
+    const lib = url.protocol === "https:" ? https : http;
+    const req = lib.get(url, {
+      headers: { "Accept-Encoding": "gzip, deflate, br", ...headers },
+      lookup: guardedLookup(isBlocked)
+    }, (res) => {
+      const status = res.statusCode || 0;
+      if (status >= 300 && status < 400 && res.headers.location) {
+        clearTimeout(timer);
+        res.resume();
+        return resolve({ status, location: res.headers.location });
+      }
+      const declared = Number(res.headers["content-length"]);
+      if (declared > maxBytes && !res.headers["content-encoding"]) {
+        clearTimeout(timer);
+        res.destroy();
+        return reject(new Error(`Response too large (${declared} bytes)`));
+      }
+      const enc = String(res.headers["content-encoding"] || "").toLowerCase();
+      const body = enc === "gzip" ? res.pipe(zlib.createGunzip())
+        : enc === "deflate" ? res.pipe(zlib.createInflate())
+        : enc === "br" ? res.pipe(zlib.createBrotliDecompress())
+        : res;
+      const chunks = [];
+      let size = 0, truncated = false;
+      body.on("data", (c) => {
+        if (truncated) return;
+        size += c.length;
+        if (size > maxBytes) {
+          chunks.push(c.subarray(0, c.length - (size - maxBytes)));
+          truncated = true;
+          res.destroy();
+          return done();
+        }
+        chunks.push(c);
+      });
+      body.on("end", done);
+      if (body !== res) res.on("error", (e) => { clearTimeout(timer); if (!finished) reject(e); });
+      body.on("error", (e) => {
+        clearTimeout(timer);
+        truncated ? done() : reject(e);
+      });
+      let finished = false;
+      function done() {
+        if (finished) return;
+        finished = true;
+        clearTimeout(timer);
+        resolve({ status, contentType: String(res.headers["content-type"] || ""), body: Buffer.concat(chunks), truncated });
+      }
+    });
+    // Whole-request deadline (a slow trickle would dodge an idle timeout)
+    const timer = setTimeout(() => req.destroy(new Error(`Timed out after ${timeoutMs} ms`)), timeoutMs);
+    req.on("error", (e) => { clearTimeout(timer); reject(e); });
+  });
+}
+
+// -> { url (final), status, contentType, charset, text, truncated }
+// isBlocked(ip) replaces isPrivateAddress (tests let one loopback address through)
+export async function fetchPublicPage(rawUrl, {
+  maxBytes = 1_000_000, timeoutMs = 8000, maxRedirects = 5, allowUrl = () => true, headers = {},
+  isBlocked = isPrivateAddress
+} = {}) {
+  let url;
+  try { url = new URL(rawUrl); } catch { throw new Error(`Invalid URL: ${rawUrl}`); }
+
+  for (let hop = 0; ; hop++) {
+    if (url.protocol !== "http:" && url.protocol !== "https:") throw new Error(`Only http(s) URLs are allowed: ${url.href}`);
+    if (url.username || url.password) throw new Error("URLs with credentials are not allowed");
+    // Literal IPs skip DNS (and so the lookup hook): check them here
+    const host = url.hostname.replace(/^\[|\]$/g, "");
+    if (net.isIP(host) && isBlocked(host)) throw new Error(`Blocked: ${host} is a private address`);
+    if (!allowUrl(url)) throw new Error(`URL not allowed for this agent: ${url.href}`);
+
+    const res = await requestOnce(url, { maxBytes, timeoutMs, headers, isBlocked });
+    if (res.location) {
+      if (hop >= maxRedirects) throw new Error("Too many redirects");
+      url = new URL(res.location, url);
+      continue;
+    }
+    if (res.status < 200 || res.status >= 300) throw new Error(`HTTP ${res.status} fetching ${url.href}`);
+    const { charset, text } = decodeBody(res.body, res.contentType);
+    return { url: url.href, status: res.status, contentType: res.contentType, charset, text, truncated: res.truncated };
+  }
+}
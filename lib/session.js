@@ -0,0 +1,76 @@
+// /lib/session.js  (ESM)
+// The one merged Realtime session config for a call: persona + Sym/Assistant
+// instructions + call-specific inst + the locale's language rule, with the
+// persona's voice, VAD, transcription language and tools.
+
+import { TOOL_DEFS, CALL_CONTROL_TOOLS } from "../functions/index.js";
+
+// HARD stop: reply once, then wait for the caller to speak again
+const HARD_RULE =
+  "HARD RULE: After you finish one short reply, stay silent until you hear the caller speak again. " +
+  "Do not ask another question until you detect new caller speech.";
+
+// Whether a persona may call a tool. persona.tools null = every registered
+// tool except call control, which must be listed explicitly; transfer_call
+// also needs at least one transfer target.
+export function toolAllowed(persona, name) {
+  if (name === "transfer_call" && !Object.keys(persona.transferTargets || {}).length) return false;
+  if (!persona.tools) return !CALL_CONTROL_TOOLS.has(name);
+  return persona.tools.includes(name);
+}
+
+// Tool definitions a persona may use; transfer_call lists the persona's targets
+export function toolDefsFor(persona) {
+  return TOOL_DEFS.filter((t) => toolAllowed(persona, t.name)).map((t) => {
+    if (t.name !== "transfer_call") return t;
+    const targets = persona.transferTargets;
+    const described = Object.entries(targets).map(([k, v]) => (v.description ? `${k} (${v.description})` : k));
+    return {
+      ...t,
+      parameters: {
+        ...t.parameters,
+        properties: {
+          ...t.parameters.properties,
+          target: { type: "string", enum: Object.keys(targets), description: `Who to transfer to: ${described.join("; ")}` }
+        }
+      }
+    };
+  });
+}
+
+export function composeInstructions(persona, { sym = "", symInstructions = "", inst = "", supervisor = "" } = {}) {
+  let out = persona.instructions;
+  if (sym) {
+    out += symInstructions && symInstructions.trim()
+      ? `\n\nSYM (${sym}):\n${symInstructions.trim()}`
+      : `\n\nSym: ${sym}.`;
+  }
+  if (inst && inst.trim()) out += `\n\nCALL-SPECIFIC:\n${inst.trim()}`;
+  if (persona.locale?.instruction) out += `\n\nLANGUAGE: ${persona.locale.instruction}`;
+  if (supervisor && supervisor.trim()) out += `\n\nSUPERVISOR (updated during the call; follow it over the above):\n${supervisor.trim()}`;
+  return `${out}\n\n${HARD_RULE}`;
+}
+
+// params: { sym, symInstructions, inst, supervisor, inputAudioFormat,
+//           detectLanguage (transcribe whatever language is heard) }
+export function buildSessionConfig(persona, params = {}) {
+  const { language, ...transcription } = persona.transcription;
+  return {
+    instructions: composeInstructions(persona, params),
+    voice: persona.voice,
+    modalities: ["audio", "text"],
+    turn_detection: {
+      type: "server_vad",
+      threshold: persona.vad.threshold,                 // stronger confidence before ending a turn
+      prefix_padding_ms: persona.vad.prefix_padding_ms,
+      silence_duration_ms: persona.vad.silence_duration_ms,
+      create_response: true,    // auto-respond after caller speech ends
+      interrupt_response: true  // allow caller to barge-in
+    },
+    input_audio_format:  params.inputAudioFormat || "g711_ulaw", // carrier G.711 as-is, or 24 kHz pcm16
+    output_audio_format: "pcm16",     // 24 kHz PCM out
+    input_audio_transcription: params.detectLanguage ? transcription : { ...transcription, language },
+    tools: toolDefsFor(persona),
+    tool_choice: "auto"
+  };
+}
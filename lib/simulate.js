@@ -0,0 +1,264 @@
+// /lib/simulate.js  (ESM)
+// Text-only simulation: a persona's real session (instructions, Sym/Assistant
+// merge, greeting, tools) on a Realtime socket with modalities ["text"], fed
+// scripted caller turns instead of a phone call. Used by POST /admin/simulate
+// and simulate.js to replay scenario files as regression checks.
+//
+// Scenario (JSON):
+//   {
+//     "name": "Amy looks up pricing",
+//     "pmpt": "amy", "sym": "", "inst": "",       (as on a call; all optional)
+//     "locale": "cy-GB",                         (optional; default the persona's)
+//     "greeting": true,                          (say the persona greeting first)
+//     "mocks": { "search_web": { ... } },        (canned tool results, by tool name)
+//     "turns": [
+//       { "caller": "How much is it?",
+//         "expect": { "reply": "£\\d+", "not": "sorry", "tools": ["search_web"], "action": "hangup" } },
+//       { "keypad": "1234" }                     (keypad entry, sent as on a call)
+//     ]
+//   }
+// expect.reply / expect.not are case-insensitive regexes on the turn's reply;
+// expect.tools lists tools the turn must call ([] = none); expect.action is
+// the transfer / hang-up the turn must schedule. Turns after a scheduled
+// transfer or hang-up are not run, and fail.
+
+import WebSocket from "ws";
+import { buildSessionConfig, toolAllowed } from "./session.js";
+import { greetingFor } from "./personas.js";
+import { createTranscript } from "./transcript.js";
+import { keypadText } from "./dtmf.js";
+import { log as rootLog } from "./log.js";
+
+const MAX_TURNS = 50;
+const MAX_TURN_CHARS = 2000;
+const MAX_TOOL_ROUNDS = 5; // follow-up responses per turn before giving up on the model
+
+// -> normalised scenario; throws on anything malformed
+export function parseScenario(raw) {
+  const fail = (msg) => { throw new Error(`Invalid scenario: ${msg}`); };
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) fail("expected a JSON object");
+  const str = (v, field) => {
+    if (v == null) return "";
+    if (typeof v !== "string") fail(`"${field}" must be a string`);
+    return v.trim();
+  };
+  const regex = (v, field) => {
+    if (v == null) return null;
+    try { return new RegExp(str(v, field), "i"); }
+    catch (e) { return fail(`"${field}" is not a valid regex (${e.message})`); }
+  };
+
+  if (!Array.isArray(raw.turns) || !raw.turns.length) fail("\"turns\" must be a non-empty array");
+  if (raw.turns.length > MAX_TURNS) fail(`at most ${MAX_TURNS} turns`);
+  if (raw.mocks != null && (typeof raw.mocks !== "object" || Array.isArray(raw.mocks))) fail("\"mocks\" must be an object");
+
+  const turns = raw.turns.map((t, i) => {
+    const at = `turns[${i}]`;
+    if (!t || typeof t !== "object") fail(`${at} must be an object`);
+    const keypad = t.keypad == null ? null : String(t.keypad);
+    const caller = keypad === null ? str(t.caller, `${at}.caller`) : "";
+    if (keypad === null && !caller) fail(`${at} needs "caller" text or "keypad" digits`);
+    if (keypad !== null && !/^[0-9*#A-D]*$/.test(keypad)) fail(`${at}.keypad may only hold keypad keys`);
+    if (caller.length > MAX_TURN_CHARS) fail(`${at}.caller is longer than ${MAX_TURN_CHARS} characters`);
+    const e = t.expect || {};
+    if (e.tools != null && !(Array.isArray(e.tools) && e.tools.every((n) => typeof n === "string"))) {
+      fail(`${at}.expect.tools must be an array of tool names`);
+    }
+    if (e.action != null && e.action !== "transfer" && e.action !== "hangup") {
+      fail(`${at}.expect.action must be "transfer" or "hangup"`);
+    }
+    return {
+      caller,
+      keypad,
+      expect: {
+        reply: regex(e.reply, `${at}.expect.reply`),
+        not: regex(e.not, `${at}.expect.not`),
+        tools: e.tools || null,
+        action: e.action || null
+      }
+    };
+  });
+
+  return {
+    name: str(raw.name, "name") || "scenario",
+    pmpt: str(raw.pmpt, "pmpt"),
+    sym: str(raw.sym, "sym"),
+    inst: str(raw.inst, "inst"),
+    locale: str(raw.locale, "locale"),
+    greeting: raw.greeting !== false,
+    mocks: raw.mocks || {},
+    turns
+  };
+}
+
+function checkTurn(expect, { reply, tools, action }) {
+  const failures = [];
+  if (expect.reply && !expect.reply.test(reply)) failures.push(`reply does not match /${expect.reply.source}/i`);
+  if (expect.not && expect.not.test(reply)) failures.push(`reply matches /${expect.not.source}/i`);
+  if (expect.tools) {
+    const called = new Set(tools.map((t) => t.name));
+    for (const name of expect.tools) if (!called.has(name)) failures.push(`${name} was not called`);
+    if (!expect.tools.length && called.size) failures.push(`expected no tools, called ${[...called].join(", ")}`);
+  }
+  if (expect.action && action?.action !== expect.action) {
+    failures.push(`expected a ${expect.action}, got ${action ? action.action : "none"}`);
+  }
+  return failures;
+}
+
+function openRealtime(url, apiKey, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(url, { headers: { Authorization: `Bearer ${apiKey}`, "OpenAI-Beta": "realtime=v1" } });
+    const timer = setTimeout(() => { ws.terminate(); reject(new Error("OpenAI connect timed out")); }, timeoutMs);
+    ws.once("open", () => { clearTimeout(timer); resolve(ws); });
+    ws.once("error", (e) => { clearTimeout(timer); reject(e); });
+  });
+}
+
+// runTool(name, argsJson, ctx) -> { ok, result } | { ok: false, error } (the
+// bridge's runToolSafely); ctx adds the simulated callControl and keypad.
+// -> { name, persona, locale, passed, greeting, turns, callAction, errors, transcript }
+export async function runSimulation({
+  openaiUrl, openaiApiKey, persona, scenario, symInstructions = "", runTool, timeoutMs = 30000, log = rootLog
+}) {
+  const { sym, inst, mocks } = scenario;
+  const transcript = createTranscript();
+  transcript.setCall({ params: { pmpt: scenario.pmpt, sym, inst, locale: persona.locale.code, simulated: true } });
+  const errors = [];
+  let callAction = null;
+  let keypadRequest = null;
+  const ctx = {
+    callControl: {
+      schedule(action) {
+        if (callAction) throw new Error("A transfer or hang-up is already in progress");
+        callAction = action;
+      }
+    },
+    keypad: { request(r) { keypadRequest = r; } }
+  };
+
+  const ws = await openRealtime(openaiUrl, openaiApiKey, timeoutMs);
+  const send = (msg) => ws.send(JSON.stringify(msg));
+  let waiting = null; // { resolve, reject, timer } for the next response.done
+  let lost = null;    // set once the socket errors or closes; every wait, now or later, fails with it
+
+  function connectionLost() {
+    if (lost) return;
+    lost = new Error("realtime connection closed");
+    const w = waiting;
+    waiting = null;
+    if (w) {
+      clearTimeout(w.timer);
+      w.reject(lost);
+    }
+  }
+  ws.on("message", (buf) => {
+    let msg;
+    try { msg = JSON.parse(buf.toString()); } catch { return; }
+    if (msg.type === "error") {
+      errors.push(msg.error?.message || "OpenAI error");
+      log.warn("OpenAI error during simulation", { error: msg.error?.message });
+    } else if (msg.type === "response.done" && waiting) {
+      const w = waiting;
+      waiting = null;
+      clearTimeout(w.timer);
+      w.resolve(msg.response || {});
+    }
+  });
+  ws.on("error", (e) => {
+    log.warn("OpenAI WS error during simulation", { error: e?.message || String(e) });
+    connectionLost();
+  });
+  ws.on("close", connectionLost);
+
+  const responseDone = () => new Promise((resolve, reject) => {
+    if (lost) return reject(lost);
+    const timer = setTimeout(() => { waiting = null; reject(new Error("Timed out waiting for the model")); }, timeoutMs);
+    waiting = { resolve, reject, timer };
+  });
+
+  // One reply: the response, then a follow-up after each round of tool calls
+  async function respond(response = {}) {
+    let text = "";
+    const tools = [];
+    let body = { modalities: ["text"], ...response };
+    for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+      const done = responseDone();
+      send({ type: "response.create", response: body });
+      const r = await done;
+      if (r.status === "failed") errors.push(r.status_details?.error?.message || "Response failed");
+      const calls = [];
+      for (const item of r.output || []) {
+        if (item.type === "function_call") calls.push(item);
+        if (item.type !== "message") continue;
+        const said = (item.content || []).map((c) => c.text || c.transcript || "").join("");
+        transcript.assistantDone(item.id, said);
+        text += (text && said ? " " : "") + said;
+      }
+      if (!calls.length) break;
+      for (const { call_id, name, arguments: argsJson } of calls) {
+        transcript.toolCall(call_id, name, argsJson);
+        const started = Date.now();
+        const outcome = !toolAllowed(persona, name) ? { ok: false, error: `Tool not available: ${name}` }
+          : name in mocks ? { ok: true, result: mocks[name] }
+          : await runTool(name, argsJson, ctx);
+        transcript.toolResult(call_id, outcome, Date.now() - started);
+        tools.push({ name, arguments: argsJson, ...(outcome.ok ? { result: outcome.result } : { error: outcome.error }) });
+        send({
+          type: "conversation.item.create",
+          item: { type: "function_call_output", call_id, output: JSON.stringify(outcome.ok ? outcome.result : { error: outcome.error }) }
+        });
+      }
+      if (callAction) break; // as on a call: nothing more once a transfer/hang-up is scheduled
+      body = { modalities: ["text"] };
+    }
+    return { reply: text, tools };
+  }
+
+  try {
+    send({
+      type: "session.update",
+      session: { ...buildSessionConfig(persona, { sym, symInstructions, inst }), modalities: ["text"], turn_detection: null }
+    });
+    const greeting = scenario.greeting ? (await respond({ instructions: greetingFor(persona, sym) })).reply : null;
+
+    const turns = [];
+    for (const [i, turn] of scenario.turns.entries()) {
+      const input = turn.keypad !== null ? { keypad: turn.keypad } : { caller: turn.caller };
+      if (callAction) {
+        turns.push({ ...input, skipped: true, failures: [`not run: the call was already ending (${callAction.action})`] });
+        continue;
+      }
+      let text = turn.caller;
+      if (turn.keypad !== null) {
+        const entry = { digits: turn.keypad, purpose: keypadRequest?.purpose };
+        text = keypadText(entry);
+        transcript.keypad(keypadText({ ...entry, hidden: Boolean(keypadRequest) })); // requested digits masked, as on a call
+        keypadRequest = null;
+      } else {
+        transcript.callerTurn(`sim_caller_${i}`, text);
+      }
+      send({ type: "conversation.item.create", item: { type: "message", role: "user", content: [{ type: "input_text", text }] } });
+      const { reply, tools } = await respond();
+      const action = callAction ? { action: callAction.action, target: callAction.target, reason: callAction.reason } : null;
+      turns.push({ ...input, reply, tools, action, failures: checkTurn(turn.expect, { reply, tools, action }) });
+    }
+
+    transcript.end();
+    return {
+      name: scenario.name,
+      persona: persona.id,
+      locale: persona.locale.code,
+      passed: !errors.length && turns.every((t) => !t.failures.length),
+      greeting,
+      turns,
+      callAction,
+      errors,
+      transcript: transcript.toJSON()
+    };
+  } finally {
+    clearTimeout(waiting?.timer);
+    waiting = null;
+    ws.close();
+  }
+}
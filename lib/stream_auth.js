@@ -0,0 +1,145 @@
+// /lib/stream_auth.js  (ESM)
+// Who may open a /stream session, and how many at once.
+//
+// A connection is accepted when any of these holds:
+//   - X-Twilio-Signature on the upgrade matches HMAC-SHA1(auth token, wss URL)
+//   - ?token=<stream token> on the URL (browser clients, other carriers)
+//   - the token arrives as a Twilio <Parameter name="token"> in "start";
+//     such connections are admitted "pending" and must present it within
+//     startTimeoutMs, and nothing is sent to OpenAI before that
+// Stream tokens are "<base64url JSON {exp, sub}>.<base64url HMAC-SHA256>",
+// minted by signStreamToken() with STREAM_TOKEN_SECRET.
+//
+// Limits: maxCalls overall, and maxPerSource per client address (0 = off) for
+// sessions not signed by Twilio — Twilio streams share a few egress
+// addresses, or the proxy's address, so a per-source cap would cap them all.
+// Pending connections hold no slot until their token checks out (admit()
+// again with the verified auth), so streams that never send one can't keep
+// real calls out. Refused sessions are closed with 1013 (try again later).
+
+import crypto from "node:crypto";
+import { safeEqual } from "./auth.js";
+
+export const CLOSE_TRY_AGAIN_LATER = 1013;
+export const CLOSE_POLICY_VIOLATION = 1008;
+
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+
+export function signStreamToken(secret, { ttlSec = 300, sub = "" } = {}) {
+  const body = b64url(JSON.stringify({ exp: Math.floor(Date.now() / 1000) + ttlSec, sub }));
+  const sig = b64url(crypto.createHmac("sha256", secret).update(body).digest());
+  return `${body}.${sig}`;
+}
+
+// -> { ok: true, sub } | { ok: false, reason }
+export function verifyStreamToken(secret, token) {
+  if (!secret || !token) return { ok: false, reason: "no token" };
+  const [body, sig, extra] = String(token).split(".");
+  if (!body || !sig || extra !== undefined) return { ok: false, reason: "malformed token" };
+  const want = b64url(crypto.createHmac("sha256", secret).update(body).digest());
+  if (!safeEqual(sig, want)) return { ok: false, reason: "bad token signature" };
+  let claims;
+  try { claims = JSON.parse(Buffer.from(body, "base64url").toString("utf8")); }
+  catch { return { ok: false, reason: "malformed token" }; }
+  if (!Number.isFinite(claims.exp) || claims.exp * 1000 < Date.now()) return { ok: false, reason: "token expired" };
+  return { ok: true, sub: String(claims.sub || "") };
+}
+
+// Twilio signs GET/WebSocket requests over the full URL it was given
+export function twilioSignatureValid(authToken, signature, url) {
+  if (!authToken || !signature) return false;
+  const want = crypto.createHmac("sha1", authToken).update(url).digest("base64");
+  return safeEqual(signature, want);
+}
+
+// URLs Twilio may have signed for this request (public base, Host header,
+// with and without an explicit default port). A base that isn't a URL (a
+// Host of "[", say) can't have been signed, so it's skipped.
+function candidateUrls(req, publicBaseUrl) {
+  const path = req.url || "/";
+  const bases = new Set();
+  if (publicBaseUrl) bases.add(publicBaseUrl.replace(/^http/, "ws"));
+  const host = req.headers.host;
+  if (host) {
+    const proto = String(req.headers["x-forwarded-proto"] || "").split(",")[0].trim();
+    bases.add(`${proto === "http" || proto === "ws" ? "ws" : "wss"}://${host}`);
+  }
+  const out = [];
+  for (const b of bases) {
+    let u;
+    try { u = new URL(b); }
+    catch { continue; }
+    out.push(b + path);
+    if (!u.port) out.push(`${u.protocol}//${u.hostname}:${u.protocol === "wss:" ? 443 : 80}${path}`);
+  }
+  return out;
+}
+
+export function createStreamGuard({
+  twilioAuthToken = "", tokenSecret = "", publicBaseUrl = "", enforce = true,
+  maxCalls = 50, maxPerSource = 0, trustProxy = false, startTimeoutMs = 5000
+} = {}) {
+  const perSource = new Map(); // source -> open sessions counted against maxPerSource
+  let total = 0;
+  const perSourceLimited = (auth) => maxPerSource > 0 && auth?.method !== "twilio-signature";
+
+  // Client address (first X-Forwarded-For hop only behind a trusted proxy)
+  function sourceOf(req) {
+    const xff = trustProxy ? String(req.headers["x-forwarded-for"] || "").split(",")[0].trim() : "";
+    return xff || req.socket?.remoteAddress || "unknown";
+  }
+
+  return {
+    enforced: enforce,
+    startTimeoutMs,
+    sourceOf,
+
+    // Upgrade check -> { ok, method } | { ok: true, pending: true } | { ok: false, reason }
+    authenticate(req, transportName) {
+      if (!enforce) return { ok: true, method: "none" };
+      let url;
+      try { url = new URL(req.url || "/", "http://localhost"); }
+      catch { return { ok: false, reason: "malformed URL" }; }
+      const token = url.searchParams.get("token");
+      if (token) {
+        const v = verifyStreamToken(tokenSecret, token);
+        return v.ok ? { ok: true, method: "token", sub: v.sub } : { ok: false, reason: v.reason };
+      }
+      const sig = req.headers["x-twilio-signature"];
+      if (sig) {
+        const ok = candidateUrls(req, publicBaseUrl).some((u) => twilioSignatureValid(twilioAuthToken, sig, u));
+        return ok ? { ok: true, method: "twilio-signature" } : { ok: false, reason: "bad Twilio signature" };
+      }
+      // Twilio can still carry a token in <Parameter>s, which only arrive in "start"
+      if (transportName === "twilio" && tokenSecret) return { ok: true, pending: true };
+      return { ok: false, reason: "no credentials" };
+    },
+
+    // A Twilio "start" for a pending connection -> { ok, sub } | { ok: false, reason }
+    authenticateStart(params = {}) {
+      return verifyStreamToken(tokenSecret, params.token);
+    },
+
+    // Take a session slot -> null, or why it was refused; auth is what
+    // authenticate() returned, and goes to release() with the same source.
+    // Pending auth takes no slot.
+    admit(source, auth) {
+      if (auth?.pending) return null;
+      if (total >= maxCalls) return "server at capacity";
+      const limited = perSourceLimited(auth);
+      if (limited && (perSource.get(source) || 0) >= maxPerSource) return "too many sessions from this source";
+      total++;
+      if (limited) perSource.set(source, (perSource.get(source) || 0) + 1);
+      return null;
+    },
+
+    release(source, auth) {
+      if (auth?.pending) return;
+      total = Math.max(0, total - 1);
+      if (!perSourceLimited(auth)) return;
+      const n = (perSource.get(source) || 0) - 1;
+      if (n > 0) perSource.set(source, n);
+      else perSource.delete(source);
+    }
+  };
+}
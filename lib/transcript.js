@@ -0,0 +1,143 @@
+// /lib/transcript.js  (ESM)
+// Per-call transcript: caller/assistant turns, tool calls and call parameters.
+// Turns are ordered by when they started (caller speech start, first assistant
+// delta), since caller transcriptions usually complete after the reply begins.
+//
+// subscribe(fn) follows the call live: fn("turn", entry) whenever a turn is
+// completed or updated (interrupted, tool result in), with the same entry
+// shape as toJSON().turns, and fn("end") once the call is over.
+
+export function createTranscript() {
+  const call = { streamSid: null, callSid: null, params: {} };
+  const startedAt = new Date();
+  const turns = new Map();        // itemId -> turn (caller/assistant)
+  const speechStarts = new Map(); // caller itemId -> Date (from VAD)
+  const tools = new Map();        // call_id -> tool entry
+  let endedAt = null;
+  const listeners = new Set();
+
+  function emit(type, t) {
+    const entry = t && { ...t, at: t.at.toISOString() };
+    for (const fn of listeners) fn(type, entry);
+  }
+
+  function assistantTurn(itemId) {
+    let t = turns.get(itemId);
+    if (!t) {
+      t = { role: "assistant", itemId, at: new Date(), text: "" };
+      turns.set(itemId, t);
+    }
+    return t;
+  }
+
+  return {
+    setCall({ streamSid, callSid, params }) {
+      if (streamSid) call.streamSid = streamSid;
+      if (callSid) call.callSid = callSid;
+      if (params) call.params = { ...call.params, ...params };
+    },
+
+    callerSpeechStarted(itemId) {
+      if (itemId) speechStarts.set(itemId, new Date());
+    },
+
+    callerTurn(itemId, text) {
+      const clean = String(text || "").trim();
+      if (!clean) return;
+      const t = { role: "caller", itemId, at: speechStarts.get(itemId) || new Date(), text: clean };
+      turns.set(itemId || `caller_${turns.size}`, t);
+      emit("turn", t);
+    },
+
+    // Keypad input (entries and key actions), listed as caller turns
+    keypad(text) {
+      const t = { role: "caller", itemId: null, at: new Date(), text, keypad: true };
+      turns.set(`keypad_${turns.size}`, t);
+      emit("turn", t);
+    },
+
+    // Live supervisor actions (instructions, say, end), for the record
+    supervisor(action, text) {
+      const t = { role: "supervisor", action, at: new Date(), text };
+      turns.set(`supervisor_${turns.size}`, t);
+      emit("turn", t);
+    },
+
+    assistantDelta(itemId, delta) {
+      if (itemId && delta) assistantTurn(itemId).text += delta;
+    },
+
+    // Final text wins over accumulated deltas
+    assistantDone(itemId, text) {
+      if (!itemId || typeof text !== "string") return;
+      const t = assistantTurn(itemId);
+      t.text = text;
+      emit("turn", t);
+    },
+
+    interrupted(itemId, playedMs) {
+      const t = turns.get(itemId);
+      if (!t) return;
+      t.interrupted = true;
+      t.playedMs = playedMs;
+      if (t.text) emit("turn", t);
+    },
+
+    toolCall(callId, name, args) {
+      const t = { role: "tool", callId, name, arguments: args, at: new Date() };
+      tools.set(callId, t);
+      emit("turn", t);
+    },
+
+    toolResult(callId, outcome, durationMs) {
+      const t = tools.get(callId);
+      if (!t) return;
+      t.durationMs = durationMs;
+      if (outcome.ok) t.result = outcome.result;
+      else t.error = outcome.error;
+      emit("turn", t);
+    },
+
+    // Recent spoken turns as plain { role, text }, oldest first (for replay)
+    recentTurns(limit = 10) {
+      return [...turns.values()]
+        .filter((t) => t.text && t.role !== "supervisor")
+        .sort((a, b) => a.at - b.at)
+        .slice(-limit)
+        .map(({ role, text }) => ({ role, text }));
+    },
+
+    end() {
+      if (endedAt) return;
+      endedAt = new Date();
+      emit("end");
+      listeners.clear();
+    },
+
+    ended: () => Boolean(endedAt),
+
+    // -> unsubscribe(); after the end there is nothing more to follow
+    subscribe(fn) {
+      if (endedAt) return () => {};
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+
+    toJSON() {
+      const entries = [...turns.values(), ...tools.values()]
+        .filter((t) => t.role === "tool" || t.text)
+        .sort((a, b) => a.at - b.at)
+        .map((t) => ({ ...t, at: t.at.toISOString() }));
+      const end = endedAt || new Date();
+      return {
+        streamSid: call.streamSid,
+        callSid: call.callSid,
+        params: call.params,
+        startedAt: startedAt.toISOString(),
+        endedAt: end.toISOString(),
+        durationMs: end - startedAt,
+        turns: entries
+      };
+    }
+  };
+}
@@ -0,0 +1,58 @@
+// /lib/transports/browser.js  (ESM)
+// Web-widget calls: binary little-endian PCM16 both ways at ?rate=16000
+// (default; 8000, 24000 and 48000 also work), with small JSON text control
+// messages:
+//   in:  { "type": "start", "params": { … } }   (optional; else query params)
+//        { "type": "dtmf", "digit": "5" }          (keypad widget)
+//        { "type": "stop" }
+//   out: { "type": "clear" }                     (drop buffered playback)
+
+import crypto from "node:crypto";
+import WebSocket from "ws";
+import { pcm16ToBytes } from "../audio.js";
+import { queryParams, echoMarkLocally } from "./common.js";
+
+const RATES = [8000, 16000, 24000, 48000];
+
+export function createBrowserTransport(ws, req, { onEvent }) {
+  const query = queryParams(req);
+  const rate = Number(query.rate);
+  let started = false;
+
+  function start(params) {
+    if (started) return;
+    started = true;
+    onEvent({ type: "start", streamId: crypto.randomUUID(), callId: null, params: { ...query, ...params } });
+  }
+
+  ws.on("message", (buf, isBinary) => {
+    if (isBinary) {
+      start({});
+      onEvent({ type: "media", audio: buf });
+      return;
+    }
+
+    let data;
+    try { data = JSON.parse(buf.toString()); }
+    catch { return; }
+    if (!data || typeof data !== "object") return;
+    if (data.type === "start") start(data.params || {});
+    else if (data.type === "dtmf" && started && data.digit) onEvent({ type: "dtmf", digit: String(data.digit) });
+    else if (data.type === "stop") onEvent({ type: "stop" });
+  });
+
+  return {
+    name: "browser",
+    format: { codec: "pcm16", rate: RATES.includes(rate) ? rate : 16000 },
+    ready: () => started && ws.readyState === WebSocket.OPEN,
+    sendAudio(frame) {
+      ws.send(pcm16ToBytes(frame), { binary: true });
+    },
+    sendMark(name) {
+      echoMarkLocally(onEvent, name);
+    },
+    clear() {
+      if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: "clear" }));
+    }
+  };
+}
@@ -0,0 +1,17 @@
+// /lib/transports/common.js  (ESM)
+// Helpers shared by the transport adapters.
+
+// String query parameters (pmpt / sym / inst …) for carriers that can't send
+// custom parameters in-band
+export function queryParams(req) {
+  let url;
+  try { url = new URL(req.url || "/", "http://localhost"); }
+  catch { return {}; }
+  const out = {};
+  for (const [k, v] of url.searchParams) if (k !== "transport") out[k] = v;
+  return out;
+}
+
+export function echoMarkLocally(onEvent, name) {
+  setImmediate(() => onEvent({ type: "mark", name }));
+}
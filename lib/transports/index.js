@@ -0,0 +1,48 @@
+// /lib/transports/index.js  (ESM)
+// Telephony transport adapters. Each adapter owns its carrier's framing,
+// codec and sample rate, and talks to the bridge core in one shape:
+//
+//   createXTransport(ws, req, { onEvent }) -> {
+//     name, ready(), sendAudio(pcmFrame), sendMark(name), clear(),
+//     format   // { codec: "g711_ulaw" | "g711_alaw" | "pcm16", rate } once started
+//   }
+//   onEvent({ type: "start", streamId, callId, params })
+//   onEvent({ type: "media", audio })  // carrier bytes in `format`
+//   onEvent({ type: "mark", name })    // playback reached a sent mark
+//   onEvent({ type: "dtmf", digit })   // caller pressed a key ("0"-"9", "*", "#")
+//   onEvent({ type: "stop" })
+//
+// The same format is used both ways; sendAudio takes 20 ms PCM16 frames at
+// format.rate and encodes them for the carrier.
+//
+// Carriers without mark echoes get them locally as soon as the pacer sends
+// the mark (our pacing is real time, so "sent" ≈ "played").
+//
+// Selection: /stream (Twilio), /stream/<name>, or /stream?transport=<name>.
+
+import { createTwilioTransport } from "./twilio.js";
+import { createTelnyxTransport } from "./telnyx.js";
+import { createVonageTransport } from "./vonage.js";
+import { createBrowserTransport } from "./browser.js";
+
+const TRANSPORTS = {
+  twilio: createTwilioTransport,
+  telnyx: createTelnyxTransport,
+  vonage: createVonageTransport,
+  browser: createBrowserTransport
+};
+
+// Transport name for an upgrade request, or null if the path isn't ours.
+// Throws on a request target that isn't a URL (e.g. "//["); the upgrade
+// handler answers those with 400.
+export function transportForRequest(req) {
+  const url = new URL(req.url || "/", "http://localhost");
+  const m = url.pathname.match(/^\/stream(?:\/([a-z]+))?\/?$/);
+  if (!m) return null;
+  const name = m[1] || url.searchParams.get("transport") || "twilio";
+  return Object.hasOwn(TRANSPORTS, name) ? name : null;
+}
+
+export function createTransport(name, ws, req, handlers) {
+  return TRANSPORTS[name](ws, req, handlers);
+}
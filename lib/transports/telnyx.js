@@ -0,0 +1,71 @@
+// /lib/transports/telnyx.js  (ESM)
+// Telnyx media streaming (bidirectional RTP): JSON frames like Twilio's
+// (connected/start/media/dtmf/stop), base64 PCMU or PCMA 8 kHz payloads.
+// Custom parameters come from start.custom_parameters or the URL query.
+
+import WebSocket from "ws";
+import { b64ToU8, u8ToB64, encodeFrame } from "../audio.js";
+import { queryParams, echoMarkLocally } from "./common.js";
+import { log as rootLog } from "../log.js";
+
+const CODECS = { PCMU: "g711_ulaw", PCMA: "g711_alaw" };
+
+export function createTelnyxTransport(ws, req, { onEvent, log = rootLog }) {
+  let streamId = null;
+  const transport = {
+    name: "telnyx",
+    format: { codec: "g711_ulaw", rate: 8000 },
+    ready: () => Boolean(streamId) && ws.readyState === WebSocket.OPEN,
+    sendAudio(frame) {
+      const payload = u8ToB64(encodeFrame(transport.format.codec, frame));
+      ws.send(JSON.stringify({ event: "media", media: { payload } }));
+    },
+    sendMark(name) {
+      echoMarkLocally(onEvent, name);
+    },
+    clear() {
+      if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ event: "clear" }));
+    }
+  };
+
+  ws.on("message", (buf) => {
+    let data;
+    try { data = JSON.parse(buf.toString()); }
+    catch { log.warn("Non-JSON from Telnyx", { data: buf.toString().slice(0, 120) }); return; }
+    if (!data || typeof data !== "object") return;
+
+    switch (data.event) {
+      case "start": {
+        streamId = data.stream_id || data.start?.stream_id || null;
+        const fmt = data.start?.media_format || {};
+        if (fmt.encoding && !CODECS[fmt.encoding]) {
+          log.error("Telnyx stream encoding not supported (use PCMU/PCMA)", { encoding: fmt.encoding });
+        }
+        transport.format = { codec: CODECS[fmt.encoding] || "g711_ulaw", rate: 8000 };
+        onEvent({
+          type: "start",
+          streamId,
+          callId: data.start?.call_control_id || null,
+          params: { ...queryParams(req), ...(data.start?.custom_parameters || {}) }
+        });
+        break;
+      }
+      case "media": {
+        if (data.media?.track && data.media.track !== "inbound") break;
+        const audio = b64ToU8(data.media?.payload || "");
+        if (audio.length) onEvent({ type: "media", audio });
+        break;
+      }
+      case "dtmf": {
+        if (data.dtmf?.digit) onEvent({ type: "dtmf", digit: String(data.dtmf.digit) });
+        break;
+      }
+      case "stop": {
+        onEvent({ type: "stop" });
+        break;
+      }
+    }
+  });
+
+  return transport;
+}
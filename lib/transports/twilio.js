@@ -0,0 +1,73 @@
+// /lib/transports/twilio.js  (ESM)
+// Twilio Media Streams: JSON frames (start/media/mark/dtmf/stop), base64 μ-law
+// 8 kHz in 160-byte media payloads, "audio" subprotocol.
+
+import WebSocket from "ws";
+import { b64ToU8, u8ToB64, pcm16ToMuLaw } from "../audio.js";
+import { log as rootLog } from "../log.js";
+
+const FORMAT = { codec: "g711_ulaw", rate: 8000 };
+
+export function createTwilioTransport(ws, _req, { onEvent, log = rootLog }) {
+  let streamSid = null;
+
+  ws.on("message", (buf) => {
+    const txt = buf.toString();
+
+    let data;
+    try { data = JSON.parse(txt); }
+    catch { log.warn("Non-JSON from Twilio", { data: txt.slice(0, 120) }); return; }
+    if (!data || typeof data !== "object") return; // valid JSON, but not a frame (null, 42, "x")
+
+    // Event name only: "dtmf" carries the caller's keys and "start" the stream token
+    if (data.event !== "media") log.debug("Twilio event", { event: data.event });
+
+    switch (data.event) {
+      case "start": {
+        streamSid = data.start?.streamSid || data.streamSid || null;
+        onEvent({
+          type: "start",
+          streamId: streamSid,
+          callId: data.start?.callSid || null,
+          params: data.start?.customParameters || {}
+        });
+        break;
+      }
+      case "media": {
+        const ulaw = b64ToU8(data.media?.payload || "");
+        if (ulaw.length !== 160) break; // 20ms @ 8kHz
+        onEvent({ type: "media", audio: ulaw });
+        break;
+      }
+      case "mark": {
+        if (data.mark?.name) onEvent({ type: "mark", name: data.mark.name });
+        break;
+      }
+      case "dtmf": {
+        if (data.dtmf?.digit) onEvent({ type: "dtmf", digit: String(data.dtmf.digit) });
+        break;
+      }
+      case "stop": {
+        onEvent({ type: "stop" });
+        break;
+      }
+    }
+  });
+
+  const send = (obj) => ws.send(JSON.stringify({ ...obj, streamSid }));
+
+  return {
+    name: "twilio",
+    format: FORMAT,
+    ready: () => Boolean(streamSid) && ws.readyState === WebSocket.OPEN,
+    sendAudio(frame) {
+      send({ event: "media", media: { payload: u8ToB64(pcm16ToMuLaw(frame)) } });
+    },
+    sendMark(name) {
+      send({ event: "mark", mark: { name } });
+    },
+    clear() {
+      if (streamSid && ws.readyState === WebSocket.OPEN) send({ event: "clear" });
+    }
+  };
+}
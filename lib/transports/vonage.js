@@ -0,0 +1,65 @@
+// /lib/transports/vonage.js  (ESM)
+// Vonage (Nexmo) Voice API WebSocket: a JSON "websocket:connected" text
+// message first (content-type audio/l16;rate=16000 plus any NCCO headers),
+// then raw binary L16 frames both ways (640 bytes = 20 ms @ 16 kHz), and
+// "websocket:dtmf" text messages for key presses.
+// No mark echoes or playback clear; our pacing keeps its buffer short.
+
+import crypto from "node:crypto";
+import WebSocket from "ws";
+import { pcm16ToBytes } from "../audio.js";
+import { queryParams, echoMarkLocally } from "./common.js";
+import { log as rootLog } from "../log.js";
+
+export function createVonageTransport(ws, req, { onEvent, log = rootLog }) {
+  let connected = false;
+  const transport = {
+    name: "vonage",
+    format: { codec: "pcm16", rate: 16000 },
+    ready: () => connected && ws.readyState === WebSocket.OPEN,
+    sendAudio(frame) {
+      ws.send(pcm16ToBytes(frame), { binary: true });
+    },
+    sendMark(name) {
+      echoMarkLocally(onEvent, name);
+    },
+    clear() {}
+  };
+
+  ws.on("message", (buf, isBinary) => {
+    if (isBinary) {
+      if (connected) onEvent({ type: "media", audio: buf }); // ignore audio before websocket:connected
+      return;
+    }
+
+    let data;
+    try { data = JSON.parse(buf.toString()); }
+    catch { log.warn("Non-JSON text from Vonage", { data: buf.toString().slice(0, 120) }); return; }
+    if (!data || typeof data !== "object") return;
+
+    if (data.event === "websocket:dtmf") {
+      if (connected && data.digit) onEvent({ type: "dtmf", digit: String(data.digit) });
+      return;
+    }
+
+    if (data.event === "websocket:connected" && !connected) {
+      connected = true;
+      const m = /rate=(\d+)/.exec(data["content-type"] || "");
+      transport.format = { codec: "pcm16", rate: m ? Number(m[1]) : 16000 };
+
+      // NCCO "headers" arrive as top-level string fields
+      const headers = {};
+      for (const [k, v] of Object.entries(data)) {
+        if (typeof v === "string" && k !== "event" && k !== "content-type") headers[k] = v;
+      }
+      onEvent({
+        type: "start",
+        streamId: crypto.randomUUID(),
+        callId: headers.uuid || headers.conversation_uuid || null,
+        params: { ...queryParams(req), ...headers }
+      });
+    }
+  });
+
+  return transport;
+}
@@ -0,0 +1,74 @@
+// /lib/twilio.js  (ESM)
+// Minimal Twilio REST client (no SDK): outbound calls and live call updates
+// with inline TwiML.
+
+const API_BASE = "https://api.twilio.com/2010-04-01";
+
+export function escapeXml(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// <Say> a short message, then hang up (voice "" = Twilio's default for the language)
+export function sayAndHangupTwiml(text, { language = "en-GB", voice = "Polly.Amy" } = {}) {
+  const voiceAttr = voice ? ` voice="${escapeXml(voice)}"` : "";
+  return `<Response><Say language="${escapeXml(language)}"${voiceAttr}>${escapeXml(text)}</Say><Hangup/></Response>`;
+}
+
+// Hand the call to a number or SIP URI
+export function dialTwiml(to) {
+  const dest = /^sips?:/i.test(to) ? `<Sip>${escapeXml(to)}</Sip>` : `<Number>${escapeXml(to)}</Number>`;
+  return `<Response><Dial>${dest}</Dial></Response>`;
+}
+
+export const hangupTwiml = () => "<Response><Hangup/></Response>";
+
+// <Connect><Stream> back to this bridge; params arrive as customParameters
+export function streamTwiml(url, params = {}) {
+  const tags = Object.entries(params)
+    .filter(([, v]) => v !== undefined && v !== null && v !== "")
+    .map(([k, v]) => `<Parameter name="${escapeXml(k)}" value="${escapeXml(v)}"/>`)
+    .join("");
+  return `<Response><Connect><Stream url="${escapeXml(url)}">${tags}</Stream></Connect></Response>`;
+}
+
+export function createTwilioClient({ accountSid = "", authToken = "" } = {}) {
+  const auth = "Basic " + Buffer.from(`${accountSid}:${authToken}`).toString("base64");
+
+  // POST form params, or GET when params is omitted
+  async function request(path, params) {
+    const resp = await fetch(`${API_BASE}/Accounts/${encodeURIComponent(accountSid)}${path}`, params
+      ? {
+          method: "POST",
+          headers: { Authorization: auth, "Content-Type": "application/x-www-form-urlencoded" },
+          body: new URLSearchParams(params).toString(),
+          signal: AbortSignal.timeout(10000)
+        }
+      : { headers: { Authorization: auth }, signal: AbortSignal.timeout(10000) });
+    const j = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new Error(`Twilio HTTP ${resp.status}: ${j.message || "request failed"}`);
+    return j;
+  }
+
+  return {
+    configured: Boolean(accountSid && authToken),
+
+    // Place an outbound call running `twiml` once answered
+    createCall({ to, from, twiml, timeoutSec = 30 }) {
+      return request("/Calls.json", { To: to, From: from, Twiml: twiml, Timeout: String(timeoutSec) });
+    },
+
+    fetchCall(callSid) {
+      return request(`/Calls/${encodeURIComponent(callSid)}.json`);
+    },
+
+    // Replace what a live call is doing (ends its <Stream>)
+    updateCall(callSid, { twiml }) {
+      return request(`/Calls/${encodeURIComponent(callSid)}.json`, { Twiml: twiml });
+    }
+  };
+}
@@ -0,0 +1,40 @@
+// /lib/webhook.js  (ESM)
+// POST JSON to a webhook with retries and an HMAC-SHA256 signature.
+//
+// Signature: X-Bridge-Signature = hex(HMAC_SHA256(secret, `${timestamp}.${body}`))
+// with the same timestamp (ms since epoch) sent in X-Bridge-Timestamp, so the
+// receiver can reject replays.
+
+import crypto from "node:crypto";
+
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export async function postJsonWebhook(url, payload, { secret = "", retries = 3, timeoutMs = 10000, backoffMs = 1000 } = {}) {
+  const body = JSON.stringify(payload);
+  let lastErr = null;
+  let attempts = 0;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) await sleep(backoffMs * 2 ** (attempt - 1));
+    attempts++;
+
+    const timestamp = String(Date.now());
+    const headers = { "Content-Type": "application/json", "X-Bridge-Timestamp": timestamp };
+    if (secret) headers["X-Bridge-Signature"] = signPayload(secret, timestamp, body);
+
+    try {
+      const resp = await fetch(url, { method: "POST", headers, body, signal: AbortSignal.timeout(timeoutMs) });
+      if (resp.ok) return { ok: true, status: resp.status, attempts };
+      lastErr = new Error(`HTTP ${resp.status}`);
+      // Client errors won't get better on retry (except rate limiting)
+      if (resp.status < 500 && resp.status !== 429) break;
+    } catch (e) {
+      lastErr = e;
+    }
+  }
+  return { ok: false, error: lastErr?.message || String(lastErr), attempts };
+}
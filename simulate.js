@@ -0,0 +1,61 @@
+// simulate.js — replay scenario files against a running bridge (Node 20, ESM)
+// Each file is POSTed to /admin/simulate (format in lib/simulate.js); prints
+// PASS / FAIL per scenario with the failing turns, and exits 1 if any failed.
+//
+//   node simulate.js scenarios/*.json          (npm run simulate -- scenarios/*.json)
+//   node simulate.js --json scenarios/x.json   (full results, transcript included)
+//
+// ENV:
+//   BRIDGE_URL    = http://localhost:8080     (optional)
+//   ADMIN_API_KEY = ...                       (required; the bridge's admin key)
+
+import fs from "node:fs";
+
+const args = process.argv.slice(2);
+const asJson = args.includes("--json");
+const files = args.filter((a) => a !== "--json");
+const base = (process.env.BRIDGE_URL || "http://localhost:8080").replace(/\/+$/, "");
+
+if (!files.length) {
+  console.error("Usage: node simulate.js [--json] <scenario.json>...");
+  process.exit(2);
+}
+if (!process.env.ADMIN_API_KEY) {
+  console.error("ADMIN_API_KEY is required");
+  process.exit(2);
+}
+
+let failed = 0;
+const results = [];
+for (const file of files) {
+  let result;
+  try {
+    const resp = await fetch(`${base}/admin/simulate`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${process.env.ADMIN_API_KEY}`, "Content-Type": "application/json" },
+      body: fs.readFileSync(file, "utf8")
+    });
+    result = await resp.json();
+    if (!resp.ok) throw new Error(result.error || `HTTP ${resp.status}`);
+  } catch (e) {
+    failed++;
+    results.push({ file, error: e?.message || String(e) });
+    if (!asJson) console.log(`ERROR ${file}: ${e?.message || String(e)}`);
+    continue;
+  }
+  if (!result.passed) failed++;
+  results.push({ file, ...result });
+  if (asJson) continue;
+  console.log(`${result.passed ? "PASS" : "FAIL"} ${result.name} (${file}, persona ${result.persona})`);
+  result.turns.forEach((turn, i) => {
+    if (!turn.failures.length) return;
+    console.log(`  turn ${i + 1}: ${turn.caller || `[keypad] ${turn.keypad}`}`);
+    if (!turn.skipped) console.log(`    reply: ${turn.reply}`);
+    for (const f of turn.failures) console.log(`    - ${f}`);
+  });
+  for (const e of result.errors) console.log(`  OpenAI error: ${e}`);
+}
+
+if (asJson) console.log(JSON.stringify(results, null, 2));
+else console.log(`${files.length - failed}/${files.length} scenarios passed`);
+process.exit(failed ? 1 : 0);
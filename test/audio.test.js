@@ -0,0 +1,146 @@
+// Codec and resampler checks: G.711 reference values and round trips, and
+// the polyphase resampler's frequency response against the original
+// 24 kHz -> 8 kHz FIR decimator.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  pcm16ToMuLaw, muLawToPcm16, pcm16ToALaw, aLawToPcm16,
+  makeResampler, makeDecimatorBy3_24kTo8k, makeInputConverter, bytesToPcm16
+} from "../lib/audio.js";
+
+const AMP = 10000;
+
+function tone(freqHz, rate, n, amp = AMP) {
+  const x = new Int16Array(n);
+  for (let i = 0; i < n; i++) x[i] = Math.round(amp * Math.sin((2 * Math.PI * freqHz * i) / rate));
+  return x;
+}
+
+// Amplitude of the freqHz component (least-squares fit), skipping filter warm-up
+function amplitudeAt(y, freqHz, rate, skip = 200) {
+  let s = 0, c = 0, n = 0;
+  for (let i = skip; i < y.length - skip; i++) {
+    s += y[i] * Math.sin((2 * Math.PI * freqHz * i) / rate);
+    c += y[i] * Math.cos((2 * Math.PI * freqHz * i) / rate);
+    n++;
+  }
+  return (2 * Math.hypot(s, c)) / n;
+}
+
+const gainDb = (a) => 20 * Math.log10(Math.max(a, 1e-3) / AMP);
+
+// Residual after removing the best-fit sinusoid, as SNR in dB
+function snrDb(y, freqHz, rate, skip = 200) {
+  let s = 0, c = 0, n = 0;
+  for (let i = skip; i < y.length - skip; i++) {
+    s += y[i] * Math.sin((2 * Math.PI * freqHz * i) / rate);
+    c += y[i] * Math.cos((2 * Math.PI * freqHz * i) / rate);
+    n++;
+  }
+  const a = (2 * s) / n, b = (2 * c) / n;
+  let sig = 0, err = 0;
+  for (let i = skip; i < y.length - skip; i++) {
+    const fit = a * Math.sin((2 * Math.PI * freqHz * i) / rate) + b * Math.cos((2 * Math.PI * freqHz * i) / rate);
+    sig += fit * fit;
+    err += (y[i] - fit) ** 2;
+  }
+  return 10 * Math.log10(sig / err);
+}
+
+test("μ-law matches G.711 reference values", () => {
+  assert.deepEqual([...muLawToPcm16(new Uint8Array([0x00, 0x7f, 0xff, 0x80]))], [-32124, 0, 0, 32124]);
+  assert.equal(pcm16ToMuLaw(new Int16Array([0]))[0], 0xff);
+});
+
+test("A-law matches G.711 reference values", () => {
+  assert.deepEqual([...aLawToPcm16(new Uint8Array([0xd5, 0x55, 0xaa, 0x2a]))], [8, -8, 32256, -32256]);
+  assert.deepEqual([...pcm16ToALaw(new Int16Array([0, -1, 32767, -32768]))], [0xd5, 0x55, 0xaa, 0x2a]);
+});
+
+test("G.711 round trips stay within the quantisation step", () => {
+  const x = new Int16Array(65536);
+  for (let i = 0; i < x.length; i++) x[i] = i - 32768;
+  for (const [enc, dec, name] of [[pcm16ToMuLaw, muLawToPcm16, "μ-law"], [pcm16ToALaw, aLawToPcm16, "A-law"]]) {
+    const y = dec(enc(x));
+    for (let i = 0; i < x.length; i++) {
+      const v = Math.abs(x[i]);
+      // Segment step is 1/16 of the segment size: ≤ ~6.3% relative error above the linear region
+      const bound = Math.max(v / 16 + 2, name === "μ-law" ? 8 : 16);
+      if (v > 32124) continue; // μ-law clips here
+      assert.ok(Math.abs(y[i] - x[i]) <= bound, `${name} ${x[i]} -> ${y[i]}`);
+    }
+    // Every code decodes to a value that re-encodes to itself
+    const codes = new Uint8Array(256).map((_, i) => i);
+    const again = enc(dec(codes));
+    for (let i = 0; i < 256; i++) {
+      if (dec(new Uint8Array([i]))[0] === 0) continue; // ±0 pairs
+      assert.equal(again[i], i, `${name} code ${i}`);
+    }
+  }
+});
+
+test("24 kHz -> 8 kHz resampler matches the original FIR decimator's response", () => {
+  for (const f of [300, 1000, 2000, 3000, 3400]) {
+    const ref = gainDb(amplitudeAt(makeDecimatorBy3_24kTo8k()(tone(f, 24000, 24000)), f, 8000));
+    const got = gainDb(amplitudeAt(makeResampler(24000, 8000)(tone(f, 24000, 24000)), f, 8000));
+    assert.ok(Math.abs(got - ref) <= 1, `${f} Hz: resampler ${got.toFixed(2)} dB vs FIR ${ref.toFixed(2)} dB`);
+  }
+  // Above 8 kHz's Nyquist: aliases (8000 - f) must be at least as quiet as the FIR's
+  for (const f of [5000, 6000, 7000]) {
+    const alias = 8000 - f;
+    const ref = gainDb(amplitudeAt(makeDecimatorBy3_24kTo8k()(tone(f, 24000, 24000)), alias, 8000));
+    const got = gainDb(amplitudeAt(makeResampler(24000, 8000)(tone(f, 24000, 24000)), alias, 8000));
+    assert.ok(got <= Math.max(ref, -70), `${f} Hz alias: ${got.toFixed(1)} dB vs FIR ${ref.toFixed(1)} dB`);
+  }
+});
+
+test("resampler passband is flat and stopband attenuated for common rates", () => {
+  const pairs = [[8000, 16000], [16000, 8000], [8000, 24000], [16000, 24000], [24000, 16000], [48000, 8000], [24000, 48000]];
+  for (const [from, to] of pairs) {
+    const nyqLow = Math.min(from, to) / 2;
+    for (const f of [300, 1000, 0.6 * nyqLow]) {
+      const y = makeResampler(from, to)(tone(f, from, from));
+      const g = gainDb(amplitudeAt(y, f, to));
+      assert.ok(Math.abs(g) <= 0.5, `${from}->${to} @ ${f} Hz: ${g.toFixed(2)} dB`);
+    }
+    if (from > to) {
+      // A tone just below the input Nyquist folds back; it must be well down
+      const f = 0.9 * (from / 2) > to ? to + 0.25 * to : 0.95 * (from / 2);
+      const alias = Math.abs(f - to * Math.round(f / to));
+      const y = makeResampler(from, to)(tone(f, from, from));
+      const g = gainDb(amplitudeAt(y, alias, to));
+      assert.ok(g <= -40, `${from}->${to} ${f} Hz alias at ${alias} Hz: ${g.toFixed(1)} dB`);
+    }
+  }
+});
+
+test("streaming in odd-sized chunks equals one-shot resampling", () => {
+  const x = tone(700, 16000, 16000);
+  const whole = makeResampler(16000, 24000)(x);
+  const r = makeResampler(16000, 24000);
+  const parts = [];
+  for (let i = 0, n = 1; i < x.length; i += n, n = (n * 7) % 331 + 1) parts.push(...r(x.subarray(i, i + n)));
+  assert.equal(parts.length, whole.length);
+  assert.deepEqual(Int16Array.from(parts), whole);
+});
+
+test("round trips through OpenAI's 24 kHz keep telephone-band audio clean", () => {
+  for (const [rate, f] of [[8000, 1000], [16000, 1000], [16000, 5000]]) {
+    const y = makeResampler(24000, rate)(makeResampler(rate, 24000)(tone(f, rate, rate)));
+    const g = gainDb(amplitudeAt(y, f, rate));
+    assert.ok(Math.abs(g) <= 0.5, `${rate} Hz round trip @ ${f} Hz: ${g.toFixed(2)} dB`);
+    assert.ok(snrDb(y, f, rate) >= 40, `${rate} Hz round trip @ ${f} Hz SNR`);
+  }
+});
+
+test("input converter passes G.711 through and turns other formats into 24 kHz pcm16", () => {
+  const ulaw = pcm16ToMuLaw(tone(1000, 8000, 160));
+  assert.equal(makeInputConverter({ codec: "g711_ulaw", rate: 8000 }, "g711_ulaw")(ulaw), ulaw);
+
+  const pcm = bytesToPcm16(makeInputConverter({ codec: "g711_ulaw", rate: 8000 }, "pcm16")(ulaw));
+  assert.equal(pcm.length, 480);
+
+  const l16 = Buffer.from(tone(1000, 16000, 320).buffer);
+  assert.equal(bytesToPcm16(makeInputConverter({ codec: "pcm16", rate: 16000 }, "pcm16")(l16)).length, 480);
+});
@@ -0,0 +1,910 @@
+// End-to-end bridge checks, offline: createBridge() on a free port, a mock
+// Realtime server in place of OpenAI and a scripted Twilio Media Streams
+// client (bare clients for Telnyx, Vonage and the browser). Covers the
+// greeting, 20 ms pacing of 160-byte frames, each carrier's framing and
+// codec, response latency, tool round-trips, barge-in, keypad input, silence
+// and call-length limits, locales and caller language detection, stream
+// auth, OpenAI error events and reconnects, call control (transfer /
+// hang-up), outbound calls (/calls), the supervisor routes, the call-end
+// webhook, draining for shutdown and cleanup on stop / close.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import WebSocket from "ws";
+import {
+  startMockRealtime, connectTwilio, connectCarrier, stubTwilioClient, startWebhookReceiver
+} from "./fakes.js";
+import { aLawToPcm16, bytesToPcm16 } from "../lib/audio.js";
+
+process.env.LOG_LEVEL ??= "error"; // before the logger is first imported
+const { createBridge } = await import("../lib/bridge.js");
+const { createLogger } = await import("../lib/log.js");
+const { signStreamToken, verifyStreamToken } = await import("../lib/stream_auth.js");
+
+const GREETING = "Hi, this is the test desk.";
+const ADMIN_KEY = "admin-test";
+
+function fixtures(persona = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "bridge-test-"));
+  const personaDir = path.join(root, "personas");
+  const kbDir = path.join(root, "kb");
+  fs.mkdirSync(personaDir);
+  fs.mkdirSync(path.join(kbDir, "default"), { recursive: true });
+  fs.writeFileSync(path.join(personaDir, "tester.json"), JSON.stringify({
+    id: "tester",
+    instructions: "You are the test desk.",
+    greeting: GREETING,
+    tools: ["search_knowledge_base", "request_keypad_entry"],
+    dtmf: { actions: { "*": "repeat" } },
+    ...persona
+  }));
+  fs.writeFileSync(path.join(kbDir, "default", "hours.md"),
+    "# Opening hours\n\nThe office is open from 9am to 5pm, Monday to Friday.\n");
+  return { root, personaDir, kbDir };
+}
+
+// Bridge on a free port + mock OpenAI; t.after tears down. Other options go
+// to createBridge.
+async function startBridge(t, { script, persona, ...options } = {}) {
+  const dirs = fixtures(persona);
+  const openai = await startMockRealtime({ script });
+  const bridge = await createBridge({
+    openaiApiKey: "sk-test",
+    openaiUrl: openai.url,
+    personaDir: dirs.personaDir,
+    kbDir: dirs.kbDir,
+    recordingDir: path.join(dirs.root, "recordings"),
+    adminApiKey: ADMIN_KEY,
+    log: createLogger({ level: process.env.LOG_LEVEL, write: () => {} }),
+    ...options
+  });
+  const { port } = await bridge.listen(0, "127.0.0.1");
+  const base = `http://127.0.0.1:${port}`;
+  t.after(async () => {
+    await bridge.close();
+    await openai.close();
+    fs.rmSync(dirs.root, { recursive: true, force: true });
+  });
+  const metrics = async () => (await fetch(`${base}/metrics`)).text();
+  const health = async () => (await fetch(`${base}/healthz`)).json();
+  return { bridge, base, openai, metrics, health };
+}
+
+// startBridge + a Twilio caller that has sent "start" and been greeted
+async function startCall(t, { params = {}, greeting = GREETING, ...options } = {}) {
+  const ctx = await startBridge(t, options);
+  const caller = await connectTwilio(`${ctx.base.replace("http", "ws")}/stream`);
+  caller.start({ params: { pmpt: "tester", ...params } });
+  await ctx.openai.waitFor("response.create", (m) => m.response?.instructions === greeting);
+  return { ...ctx, caller };
+}
+
+const payloadBytes = (e) => Buffer.from(e.media.payload, "base64").length;
+
+const admin = (base, p, body) => fetch(`${base}${p}`, {
+  method: body ? "POST" : "GET",
+  headers: { Authorization: `Bearer ${ADMIN_KEY}`, "Content-Type": "application/json" },
+  body: body && JSON.stringify(body)
+});
+
+test("logs whether a call has inst instructions, never their text", async (t) => {
+  const lines = [];
+  await startCall(t, {
+    params: { inst: "Offer the private discount code SAVE50." },
+    log: createLogger({ level: "debug", write: (line) => lines.push(line) })
+  });
+  const started = lines.map((l) => JSON.parse(l)).find((l) => l.msg === "Stream started");
+  assert.equal(started.params.inst, true);
+  assert.equal(started.params.pmpt, "tester");
+  assert.ok(!lines.some((l) => l.includes("SAVE50")));
+});
+
+test("configures the session, then greets with the persona's greeting", async (t) => {
+  const { openai } = await startCall(t);
+  const types = openai.received.map((m) => m.type);
+  const update = openai.received.find((m) => m.type === "session.update");
+  assert.ok(update, "session.update sent");
+  assert.match(update.session.instructions, /You are the test desk\./);
+  assert.equal(update.session.input_audio_format, "g711_ulaw");
+  assert.deepEqual(update.session.tools.map((x) => x.name), ["search_knowledge_base", "request_keypad_entry"]);
+  assert.ok(types.indexOf("session.update") < types.indexOf("response.create"), "config before greeting");
+  assert.equal(types.filter((x) => x === "session.update").length, 1);
+  assert.equal(openai.sockets[0].headers.authorization, "Bearer sk-test");
+});
+
+test("paces assistant audio as 160-byte μ-law frames every 20 ms", async (t) => {
+  const { openai, caller } = await startCall(t);
+  openai.speak({ ms: 400 });
+  // 1 s connect beep (50 frames), then 400 ms of speech (20 frames)
+  await caller.waitFor("media", () => caller.media().length >= 69, 5000);
+  await new Promise((r) => setTimeout(r, 100));
+  const media = caller.media();
+  assert.ok(media.length >= 69 && media.length <= 70, `got ${media.length} frames`);
+  for (const e of media) assert.equal(payloadBytes(e), 160);
+  assert.equal(new Set(media.map((e) => e.streamSid)).size, 1);
+
+  const spanMs = media.at(-1).at - media[0].at;
+  const perFrame = spanMs / (media.length - 1);
+  assert.ok(perFrame >= 17 && perFrame <= 30, `mean frame gap ${perFrame.toFixed(1)} ms`);
+  const marks = caller.events.filter((e) => e.event === "mark").map((e) => e.mark.name.split(":")[1]);
+  assert.deepEqual(marks, ["item-start", "item-end", "response-end"]);
+});
+
+test("runs an allowed tool and asks for a follow-up once its output is in", async (t) => {
+  const { openai } = await startCall(t);
+  openai.callTool({ name: "search_knowledge_base", args: { query: "opening hours" }, callId: "call_kb" });
+  const item = await openai.waitFor("conversation.item.create", (m) => m.item?.call_id === "call_kb");
+  assert.equal(item.item.type, "function_call_output");
+  const out = JSON.parse(item.item.output);
+  assert.match(out.results[0].text, /9am to 5pm/);
+
+  const followUp = await openai.waitFor("response.create", (m) => !m.response);
+  assert.ok(openai.received.indexOf(item) < openai.received.indexOf(followUp));
+});
+
+test("answers tools the persona does not allow with an error", async (t) => {
+  const { openai, metrics } = await startCall(t);
+  openai.callTool({ name: "search_web", args: { url: "https://example.com", query: "x" }, callId: "call_web" });
+  const item = await openai.waitFor("conversation.item.create", (m) => m.item?.call_id === "call_web");
+  assert.deepEqual(JSON.parse(item.item.output), { error: "Tool not available: search_web" });
+  assert.match(await metrics(), /bridge_tool_call_seconds_count\{tool="not_allowed",outcome="error"\} 1/);
+});
+
+test("barge-in clears Twilio playback and truncates the item at what was heard", async (t) => {
+  const { openai, caller } = await startCall(t);
+  openai.speak({ itemId: "item_long", ms: 3000 });
+  await caller.waitFor("mark", (e) => e.mark.name.endsWith("item-start"), 5000);
+  await new Promise((r) => setTimeout(r, 200));
+  openai.send({ type: "input_audio_buffer.speech_started", item_id: "item_caller" });
+
+  await caller.waitFor("clear");
+  const trunc = await openai.waitFor("conversation.item.truncate");
+  assert.equal(trunc.item_id, "item_long");
+  assert.ok(trunc.audio_end_ms > 0 && trunc.audio_end_ms < 3000, `truncated at ${trunc.audio_end_ms} ms`);
+
+  // Nothing more of the cut-off item is played
+  const sent = caller.media().length;
+  await new Promise((r) => setTimeout(r, 150));
+  assert.ok(caller.media().length <= sent + 1);
+});
+
+test("response latency runs to the reply's first frame sent, not its arrival", async (t) => {
+  const { openai, caller, metrics } = await startCall(t);
+  // The 1 s connect beep is still playing: the reply's audio queues behind it
+  openai.send({ type: "input_audio_buffer.speech_stopped", item_id: "item_caller" });
+  openai.speak({ itemId: "item_reply", ms: 100 });
+  await caller.waitFor("mark", (e) => e.mark.name.endsWith("item-start"), 5000);
+  const text = await metrics();
+  assert.match(text, /bridge_response_latency_seconds_count 1/);
+  const sum = Number(/bridge_response_latency_seconds_sum ([\d.]+)/.exec(text)[1]);
+  assert.ok(sum >= 0.5, `latency ${sum} s`);
+});
+
+const userText = (m) => m.item?.type === "message" && m.item.role === "user" ? m.item.content[0].text : null;
+
+test("sends a keypad entry to the model as caller text, ended by #", async (t) => {
+  const { openai, caller } = await startCall(t);
+  caller.dtmf("123#");
+  const item = await openai.waitFor("conversation.item.create", (m) => userText(m));
+  assert.equal(userText(item), "[Keypad] 123");
+  const reply = await openai.waitFor("response.create", (m) => !m.response);
+  assert.ok(openai.received.indexOf(item) < openai.received.indexOf(reply));
+});
+
+test("request_keypad_entry collects the requested digits and keeps them out of the transcript", async (t) => {
+  const { base, openai, caller } = await startCall(t);
+  openai.callTool({ name: "request_keypad_entry", args: { digits: 4, purpose: "PIN" }, callId: "call_pin" });
+  const out = await openai.waitFor("conversation.item.create", (m) => m.item?.call_id === "call_pin");
+  assert.equal(JSON.parse(out.item.output).waiting, true);
+
+  caller.dtmf("*12"); // "*" is an action key, but not while an entry is requested
+  await new Promise((r) => setTimeout(r, 50));
+  assert.equal(openai.received.filter(userText).length, 0, "nothing sent before the fourth digit");
+  caller.dtmf("3");
+  const item = await openai.waitFor("conversation.item.create", (m) => userText(m));
+  assert.equal(userText(item), "[Keypad] PIN: *123");
+
+  // Everything that reads the transcript gets the length only
+  const { calls: [call] } = await (await admin(base, "/admin/calls")).json();
+  const { transcript } = await (await admin(base, `/admin/calls/${call.id}`)).json();
+  const keyed = transcript.turns.filter((x) => x.keypad).map((x) => x.text);
+  assert.deepEqual(keyed, ["[Keypad] PIN: (4 digits, not recorded)"]);
+  assert.doesNotMatch(JSON.stringify(transcript), /\*123/);
+});
+
+test("runs a persona key action (* repeats the last message)", async (t) => {
+  const { openai, caller } = await startCall(t);
+  caller.dtmf("*");
+  const repeat = await openai.waitFor("response.create", (m) => /hear that again/.test(m.response?.instructions || ""));
+  assert.ok(repeat);
+  assert.equal(openai.received.filter(userText).length, 0);
+});
+
+// Every response.create gets a short spoken reply, as the model would
+const alwaysSpeak = {
+  "response.create": (m, openai) => {
+    const n = openai.received.filter((x) => x.type === "response.create").length;
+    openai.speak({ itemId: `item_${n}`, responseId: `resp_${n}`, ms: 100 });
+  }
+};
+const spoken = (openai, re) => (m) => re.test(m.response?.instructions || "");
+
+test("reprompts a silent caller, then says goodbye and hangs up", async (t) => {
+  const { openai, caller, metrics } = await startCall(t, {
+    script: alwaysSpeak,
+    persona: { no_input: { timeout_s: 0.3, reprompts: 1, reprompt: "Hello, still there?", goodbye: "Bye for now." } }
+  });
+  const reprompt = await openai.waitFor("response.create", spoken(openai, /Hello, still there\?/), 5000);
+  const goodbye = await openai.waitFor("response.create", spoken(openai, /Bye for now\./), 5000);
+  assert.ok(openai.received.indexOf(reprompt) < openai.received.indexOf(goodbye));
+  await caller.closed;
+  assert.match(await metrics(), /bridge_calls_total\{transport="twilio",reason="no_input"\} 1/);
+});
+
+test("caller speech resets the no-input timer", async (t) => {
+  const { openai } = await startCall(t, {
+    script: alwaysSpeak,
+    persona: { no_input: { timeout_s: 0.4, reprompts: 1, reprompt: "Hello, still there?" } }
+  });
+  await openai.waitFor("response.create", spoken(openai, /Hello, still there\?/), 5000);
+  openai.send({ type: "input_audio_buffer.speech_started", item_id: "item_caller" });
+  await new Promise((r) => setTimeout(r, 600)); // caller still talking: no reprompt
+  const reprompts = openai.received.filter(spoken(openai, /still there|haven't heard/)).length;
+  assert.equal(reprompts, 1);
+});
+
+test("warns before the call length limit and ends the call at it", async (t) => {
+  const { openai, caller, metrics } = await startCall(t, {
+    script: alwaysSpeak,
+    persona: {
+      no_input: { timeout_s: 0 },
+      max_duration: { limit_s: 2.5, warning_s: 1, warning: "One minute left.", goodbye: "Time is up, goodbye." }
+    }
+  });
+  const warning = await openai.waitFor("response.create", spoken(openai, /One minute left\./), 5000);
+  const goodbye = await openai.waitFor("response.create", spoken(openai, /Time is up, goodbye\./), 5000);
+  assert.ok(openai.received.indexOf(warning) < openai.received.indexOf(goodbye));
+  await caller.closed;
+  assert.match(await metrics(), /bridge_calls_total\{transport="twilio",reason="max_duration"\} 1/);
+});
+
+test("a locale parameter switches the language rule, transcription and built-in lines", async (t) => {
+  const { openai } = await startCall(t, {
+    params: { locale: "cy" },
+    greeting: "Helo — sut alla i helpu heddiw?",
+    persona: { no_input: { timeout_s: 0 } } // its English greeting is not used in Welsh
+  });
+  const { session } = await openai.waitFor("session.update");
+  assert.match(session.instructions, /LANGUAGE: Respond only in Welsh/);
+  assert.equal(session.input_audio_transcription.language, "cy");
+});
+
+test("detects the caller's language from their first words and switches mid-call", async (t) => {
+  const { openai, metrics } = await startCall(t, {
+    persona: { detect_language: true, no_input: { timeout_s: 0 }, locales: { "pl-PL": { voice: "verse" } } }
+  });
+  const first = await openai.waitFor("session.update");
+  assert.equal(first.session.input_audio_transcription.language, undefined); // transcribe what is heard
+
+  openai.send({
+    type: "conversation.item.input_audio_transcription.completed",
+    item_id: "item_caller", transcript: "Dzień dobry, chciałbym zapytać o zamówienie."
+  });
+  const update = await openai.waitFor("session.update", (m) => m !== first);
+  assert.match(update.session.instructions, /LANGUAGE: Respond only in Polish/);
+  assert.equal(update.session.input_audio_transcription.language, "pl");
+  assert.equal(update.session.voice, undefined); // sent on its own, so a refusal can't drop the rest
+  await openai.waitFor("session.update", (m) => m.session.voice === "verse" && !m.session.instructions);
+  assert.match(await metrics(), /bridge_locale_switches_total\{locale="pl-PL"\} 1/);
+});
+
+// ---- Other carriers: framing, codec / rate and keys ----
+// The 1 s connect beep (1 kHz at 12000) is the first audio out, so its frames
+// show the outbound size and encoding.
+const peak = (int16) => Math.max(...Array.from(int16, Math.abs));
+const configOf = (openai) => openai.received.find((m) => m.type === "session.update").session;
+
+async function greeted(openai) {
+  await openai.waitFor("response.create", (m) => m.response?.instructions === GREETING);
+}
+
+test("telnyx: the start's encoding picks the codec; G.711 both ways in 160-byte base64 frames", async (t) => {
+  const { base, openai } = await startBridge(t);
+  const carrier = await connectCarrier(`${base.replace("http", "ws")}/stream/telnyx?pmpt=tester`);
+  carrier.send({ event: "connected", version: "1.0.0" });
+  carrier.send({
+    event: "start",
+    stream_id: "tx-stream",
+    start: { call_control_id: "v3:tx-call", media_format: { encoding: "PCMA", sample_rate: 8000, channels: 1 }, custom_parameters: {} }
+  });
+  await greeted(openai);
+  assert.equal(configOf(openai).input_audio_format, "g711_alaw");
+
+  const media = () => carrier.messages.filter((m) => m.event === "media");
+  await carrier.waitFor(() => media().length >= 10, 3000);
+  for (const m of media()) {
+    const bytes = Buffer.from(m.media.payload, "base64");
+    assert.equal(bytes.length, 160);
+    assert.ok(Math.abs(peak(aLawToPcm16(bytes)) - 12000) < 500, "A-law encoded");
+  }
+
+  // Inbound track only, passed through as A-law
+  const heard = Buffer.alloc(160, 0xd5);
+  carrier.send({ event: "media", media: { track: "outbound", payload: Buffer.alloc(160, 0x55).toString("base64") } });
+  carrier.send({ event: "media", media: { track: "inbound", payload: heard.toString("base64") } });
+  const appended = await openai.waitFor("input_audio_buffer.append");
+  assert.equal(appended.audio, heard.toString("base64"));
+  assert.equal(openai.received.filter((m) => m.type === "input_audio_buffer.append").length, 1);
+
+  for (const digit of "42#") carrier.send({ event: "dtmf", dtmf: { digit } });
+  assert.equal(userText(await openai.waitFor("conversation.item.create", userText)), "[Keypad] 42");
+});
+
+test("vonage: websocket:connected sets the L16 rate and NCCO headers; binary frames both ways", async (t) => {
+  const { base, openai } = await startBridge(t);
+  const ws = base.replace("http", "ws");
+  const carrier = await connectCarrier(`${ws}/stream/vonage`);
+  carrier.send(Buffer.alloc(640)); // audio before websocket:connected is dropped
+  carrier.send({ event: "websocket:connected", "content-type": "audio/l16;rate=16000", pmpt: "tester", uuid: "vg-call" });
+  await greeted(openai);
+  assert.equal(configOf(openai).input_audio_format, "pcm16");
+
+  await carrier.waitForFrames(10);
+  for (const f of carrier.frames) {
+    assert.equal(f.length, 640); // 20 ms at 16 kHz
+    assert.ok(Math.abs(peak(bytesToPcm16(f)) - 12000) < 50);
+  }
+  assert.equal(openai.received.filter((m) => m.type === "input_audio_buffer.append").length, 0);
+  carrier.send(Buffer.alloc(640));
+  const appended = await openai.waitFor("input_audio_buffer.append");
+  assert.ok(Math.abs(Buffer.from(appended.audio, "base64").length - 960) <= 64, "resampled to 24 kHz");
+
+  for (const digit of "7#") carrier.send({ event: "websocket:dtmf", digit, duration: 250 });
+  assert.equal(userText(await openai.waitFor("conversation.item.create", userText)), "[Keypad] 7");
+
+  const narrow = await connectCarrier(`${ws}/stream/vonage`);
+  narrow.send({ event: "websocket:connected", "content-type": "audio/l16;rate=8000", pmpt: "tester" });
+  await narrow.waitForFrames(3);
+  assert.deepEqual(narrow.frames.map((f) => f.length).slice(0, 3), [320, 320, 320]);
+  await narrow.close();
+});
+
+test("browser: ?rate picks the PCM16 rate, JSON start / dtmf in, binary audio and clear out", async (t) => {
+  const { base, openai } = await startBridge(t);
+  const ws = base.replace("http", "ws");
+  const carrier = await connectCarrier(`${ws}/stream/browser?rate=24000`);
+  carrier.send({ type: "start", params: { pmpt: "tester" } });
+  await greeted(openai);
+  assert.equal(configOf(openai).input_audio_format, "pcm16");
+
+  await carrier.waitForFrames(10);
+  for (const f of carrier.frames) {
+    assert.equal(f.length, 960); // 20 ms at 24 kHz
+    assert.ok(Math.abs(peak(bytesToPcm16(f)) - 12000) < 50);
+  }
+  const speech = Buffer.alloc(960, 1);
+  carrier.send(speech);
+  assert.equal((await openai.waitFor("input_audio_buffer.append")).audio, speech.toString("base64"));
+
+  openai.send({ type: "input_audio_buffer.speech_started", item_id: "item_caller" });
+  await carrier.waitFor((m) => m.type === "clear");
+  for (const digit of "9#") carrier.send({ type: "dtmf", digit });
+  assert.equal(userText(await openai.waitFor("conversation.item.create", userText)), "[Keypad] 9");
+
+  // A rate we don't do falls back to 16 kHz
+  const other = await connectCarrier(`${ws}/stream/browser?rate=11025&pmpt=tester`);
+  other.send({ type: "start" });
+  await other.waitForFrames(3);
+  assert.deepEqual(other.frames.map((f) => f.length).slice(0, 3), [640, 640, 640]);
+  await other.close();
+});
+
+test("stream auth: a token on the URL or in \"start\" admits a call; none is refused", async (t) => {
+  const { base, openai, metrics } = await startBridge(t, { streamTokenSecret: "stream-secret" });
+  const ws = base.replace("http", "ws");
+  await assert.rejects(connectTwilio(`${ws}/stream/browser`), /401/);
+
+  const token = signStreamToken("stream-secret", { sub: "test" });
+  const signed = await connectTwilio(`${ws}/stream?token=${token}`);
+  signed.start({ params: { pmpt: "tester" } });
+  await openai.waitFor("response.create", (m) => m.response?.instructions === GREETING);
+
+  // Twilio without a signature: held until "start", which must carry the token
+  const unsigned = await connectTwilio(`${ws}/stream`);
+  unsigned.start({ callSid: "CAnotoken", params: { pmpt: "tester" } });
+  assert.equal((await unsigned.closed).code, 1008);
+  assert.equal(openai.sockets.length, 1); // no OpenAI session for the refused stream
+  assert.match(await metrics(), /bridge_stream_rejections_total\{reason="unauthorized"\} 2/);
+});
+
+test("stream auth: streams waiting for a start token take no slot; the token admits them if one is free", async (t) => {
+  const { base, openai, metrics } = await startBridge(t, { streamTokenSecret: "stream-secret", maxConcurrentCalls: 1 });
+  const ws = base.replace("http", "ws");
+  const token = signStreamToken("stream-secret", { sub: "test" });
+
+  // Unsigned streams that never send "start" don't keep a real call out
+  const idle = await Promise.all([1, 2, 3].map(() => connectTwilio(`${ws}/stream`)));
+  const pending = await connectTwilio(`${ws}/stream`);
+  pending.start({ params: { pmpt: "tester", token } });
+  await openai.waitFor("response.create", (m) => m.response?.instructions === GREETING);
+
+  // …and a verified start token still needs a free slot
+  const late = await connectTwilio(`${ws}/stream`);
+  late.start({ callSid: "CAlate", params: { pmpt: "tester", token } });
+  assert.equal((await late.closed).code, 1013);
+  assert.equal(openai.sockets.length, 1);
+  assert.match(await metrics(), /bridge_stream_rejections_total\{reason="capacity"\} 1/);
+  await Promise.all(idle.map((c) => c.close()));
+});
+
+test("JSON frames that aren't objects are ignored on every transport", async (t) => {
+  const { base, openai, health } = await startBridge(t);
+  const ws = base.replace("http", "ws");
+  for (const p of ["/stream", "/stream/telnyx", "/stream/vonage", "/stream/browser"]) {
+    const sock = new WebSocket(`${ws}${p}`, "audio");
+    await new Promise((resolve, reject) => { sock.once("open", resolve); sock.once("error", reject); });
+    for (const junk of ["null", "42", "\"x\""]) sock.send(junk);
+    await new Promise((r) => setTimeout(r, 20));
+    sock.close();
+  }
+  assert.equal((await health()).status, "ok");
+
+  const caller = await connectTwilio(`${ws}/stream`);
+  caller.start({ params: { pmpt: "tester" } });
+  await openai.waitFor("response.create", (m) => m.response?.instructions === GREETING);
+});
+
+test("an upgrade whose target isn't a URL gets a 400 and the server stays up", async (t) => {
+  const { base, health } = await startBridge(t);
+  const sock = net.connect(Number(new URL(base).port), "127.0.0.1");
+  sock.write("GET //[ HTTP/1.1\r\nHost: 127.0.0.1\r\nConnection: Upgrade\r\nUpgrade: websocket\r\n" +
+    "Sec-WebSocket-Version: 13\r\nSec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\n\r\n");
+  let reply = "";
+  for await (const chunk of sock) reply += chunk;
+  assert.match(reply, /^HTTP\/1\.1 400 /);
+  assert.equal((await health()).status, "ok");
+});
+
+test("counts OpenAI error events and keeps the call going", async (t) => {
+  const { openai, caller, metrics } = await startCall(t);
+  openai.send({ type: "error", error: { type: "invalid_request_error", message: "bad field" } });
+  await new Promise((r) => setTimeout(r, 50));
+  assert.match(await metrics(), /bridge_errors_total\{type="openai:invalid_request_error"\} 1/);
+
+  openai.speak({ itemId: "item_after", ms: 100 });
+  await caller.waitFor("mark", (e) => e.mark.name.endsWith("response-end"), 5000);
+});
+
+test("reconnects after a drop: hold tone, the same session config, the context replayed and an apology", async (t) => {
+  const { openai, caller, metrics } = await startCall(t);
+  openai.send({ type: "conversation.item.input_audio_transcription.completed", item_id: "item_q", transcript: "When do you open?" });
+  openai.speak({ itemId: "item_a", text: "We open at nine." });
+  await caller.waitFor("mark", (e) => e.mark.name.endsWith("response-end"), 5000);
+  const firstConfig = openai.received.find((m) => m.type === "session.update");
+
+  // Two refused attempts (0.5 s + 1 s backoff), so the hold tone starts before the third
+  const before = openai.received.length;
+  const heard = caller.media().length;
+  openai.drop({ refuseNext: 2 });
+  const after = (m) => openai.received.indexOf(m) >= before;
+  await caller.waitFor("media", () => caller.media().length > heard, 5000);
+  assert.equal(openai.received.length, before, "hold tone while still disconnected");
+
+  const config = await openai.waitFor("session.update", after, 6000);
+  assert.deepEqual(config.session, firstConfig.session);
+  const replayed = openai.received.filter((m) => after(m) && m.type === "conversation.item.create")
+    .map((m) => [m.item.role, m.item.content[0].text]);
+  assert.deepEqual(replayed, [["user", "When do you open?"], ["assistant", "We open at nine."]]);
+  const apology = await openai.waitFor("response.create", after);
+  assert.match(apology.response.instructions, /line dropped/);
+  assert.ok(openai.received.indexOf(config) < openai.received.indexOf(apology));
+  assert.equal(openai.sockets.length, 2);
+  assert.match(await metrics(), /bridge_errors_total\{type="openai_disconnect"\} 1/);
+  assert.match(await metrics(), /bridge_errors_total\{type="openai_connect"\} 2/);
+});
+
+test("out of reconnect attempts, Twilio reads the apology and hangs up", async (t) => {
+  const twilioClient = stubTwilioClient();
+  const { openai, metrics } = await startCall(t, { twilioClient, openaiReconnectAttempts: 2 });
+  openai.drop({ refuseNext: 10 });
+  const update = await twilioClient.waitFor("updateCall", () => true, 5000);
+  assert.equal(update.callSid, "CAtest");
+  assert.match(update.twiml, /^<Response><Say [^>]*>Sorry, we&apos;re having technical difficulties\..*<\/Say><Hangup\/><\/Response>$/);
+  assert.equal(openai.sockets.length, 1);
+  const text = await metrics();
+  assert.match(text, /bridge_errors_total\{type="openai_connect"\} 2/);
+  assert.match(text, /bridge_calls_total\{transport="twilio",reason="openai_unavailable"\} 1/);
+});
+
+// Persona with call control and one transfer target, on a Twilio call the
+// bridge can update through the stub client
+async function startControlledCall(t, tools = ["transfer_call", "end_call"]) {
+  const twilioClient = stubTwilioClient();
+  const ctx = await startCall(t, { twilioClient, persona: { tools, transfer_targets: { sales: "+441234567890" } } });
+  return { ...ctx, twilioClient };
+}
+
+// The last words, then the tool call (as the model does), then the update
+async function afterLastWords(openai, tool) {
+  const callId = tool.callId || "call_1";
+  openai.speak({ itemId: `item_${callId}`, responseId: `resp_${callId}`, ms: 300, text: "One moment." });
+  openai.callTool({ responseId: `resp_tool_${callId}`, ...tool });
+  const output = await openai.waitFor("conversation.item.create", (m) => m.item?.call_id === callId);
+  return JSON.parse(output.item.output);
+}
+
+test("transfer_call dials the target once the caller has heard the last words", async (t) => {
+  const { openai, caller, twilioClient, metrics } = await startControlledCall(t);
+  const out = await afterLastWords(openai, { name: "transfer_call", args: { target: "sales", reason: "wants sales" } });
+  assert.equal(out.scheduled, "transfer");
+
+  const update = await twilioClient.waitFor("updateCall", () => true, 5000);
+  assert.equal(update.callSid, "CAtest");
+  assert.equal(update.twiml, "<Response><Dial><Number>+441234567890</Number></Dial></Response>");
+  const lastMark = caller.events.filter((e) => e.event === "mark").at(-1);
+  assert.match(lastMark.mark.name, /response-end$/);
+  assert.ok(update.at >= lastMark.at, "updated only after the last mark came back");
+  assert.ok(update.at >= caller.media().at(-1).at);
+  assert.equal(openai.received.filter((m) => m.type === "response.create" && !m.response).length, 0, "no follow-up");
+  await new Promise((r) => setTimeout(r, 20));
+  assert.match(await metrics(), /bridge_calls_total\{transport="twilio",reason="transferred"\} 1/);
+});
+
+test("end_call hangs up with <Hangup> once playback drains", async (t) => {
+  const { openai, caller, twilioClient, metrics } = await startControlledCall(t);
+  const out = await afterLastWords(openai, { name: "end_call", args: { reason: "done" } });
+  assert.equal(out.scheduled, "hangup");
+
+  const update = await twilioClient.waitFor("updateCall", () => true, 5000);
+  assert.equal(update.twiml, "<Response><Hangup/></Response>");
+  const lastMark = caller.events.filter((e) => e.event === "mark").at(-1);
+  assert.match(lastMark.mark.name, /response-end$/);
+  assert.ok(update.at >= lastMark.at, "updated only after the last mark came back");
+  await new Promise((r) => setTimeout(r, 20));
+  assert.match(await metrics(), /bridge_calls_total\{transport="twilio",reason="assistant_hangup"\} 1/);
+});
+
+test("a persona that doesn't list the call-control tools can't transfer or hang up", async (t) => {
+  const { openai, twilioClient } = await startControlledCall(t, ["search_knowledge_base"]);
+  const config = openai.received.find((m) => m.type === "session.update");
+  assert.deepEqual(config.session.tools.map((x) => x.name), ["search_knowledge_base"]);
+  for (const [name, callId] of [["transfer_call", "call_t"], ["end_call", "call_e"]]) {
+    const out = await afterLastWords(openai, { name, args: { target: "sales" }, callId });
+    assert.deepEqual(out, { error: `Tool not available: ${name}` });
+  }
+  await new Promise((r) => setTimeout(r, 1500)); // connect beep and speech played out
+  assert.equal(twilioClient.requests.length, 0);
+});
+
+test("a failed transfer keeps the caller on the line and the assistant apologises", async (t) => {
+  const { openai, caller, twilioClient, metrics } = await startControlledCall(t);
+  twilioClient.fail.updateCall = new Error("Twilio HTTP 400: invalid number");
+  await afterLastWords(openai, { name: "transfer_call", args: { target: "sales" } });
+  await twilioClient.waitFor("updateCall", () => true, 5000);
+  const apology = await openai.waitFor("response.create", spoken(openai, /transfer could not be completed/));
+  assert.ok(apology);
+  assert.match(await metrics(), /bridge_errors_total\{type="twilio_api"\} 1/);
+
+  // Still a live call: the apology is played
+  const ends = () => caller.events.filter((e) => e.event === "mark" && e.mark.name.endsWith("response-end")).length;
+  const before = ends();
+  openai.speak({ itemId: "item_sorry", responseId: "resp_sorry", ms: 100 });
+  await caller.waitFor("mark", () => ends() > before, 5000);
+});
+
+// Read a streamed response until its text matches re
+async function readUntil(reader, re, ms = 3000) {
+  const decoder = new TextDecoder();
+  let text = "";
+  const deadline = Date.now() + ms;
+  while (!re.test(text)) {
+    const left = deadline - Date.now();
+    const chunk = await Promise.race([
+      reader.read(),
+      new Promise((_, reject) => setTimeout(() => reject(new Error(`timed out waiting for ${re}`)), Math.max(0, left)))
+    ]);
+    if (chunk.done) break;
+    text += decoder.decode(chunk.value);
+  }
+  return text;
+}
+
+// Outbound calls: a stub Twilio client places them, and the bridge is told
+// its public address so the TwiML points back at it
+const CALLS_KEY = "calls-test";
+async function startCallsApi(t, options = {}) {
+  const twilioClient = stubTwilioClient();
+  const ctx = await startBridge(t, {
+    twilioClient,
+    callsApiKey: CALLS_KEY,
+    twilioFromNumber: "+441110000000",
+    publicBaseUrl: "https://bridge.example.com",
+    streamTokenSecret: "stream-secret",
+    ...options
+  });
+  const calls = (p, { body, key = CALLS_KEY } = {}) => fetch(`${ctx.base}/calls${p}`, {
+    method: body ? "POST" : "GET",
+    headers: { ...(key && { Authorization: `Bearer ${key}` }), "Content-Type": "application/json" },
+    body: body && JSON.stringify(body)
+  });
+  return { ...ctx, twilioClient, calls };
+}
+
+test("POST /calls needs the bearer key and E.164 numbers", async (t) => {
+  const { calls, twilioClient } = await startCallsApi(t);
+  const to = "+447700900123";
+  assert.equal((await calls("", { body: { to }, key: "" })).status, 401);
+  assert.equal((await calls("", { body: { to }, key: "wrong" })).status, 401);
+  assert.equal((await calls("/CA1", { key: "" })).status, 401);
+  for (const body of [{ to: "07700900123" }, { to: "+44 7700 900123" }, {}, { to, from: "Reception" }]) {
+    const res = await calls("", { body });
+    assert.equal(res.status, 400, JSON.stringify(body));
+    assert.match((await res.json()).error, /E\.164/);
+  }
+  assert.equal(twilioClient.requests.length, 0);
+  assert.equal((await calls("/CAunknown")).status, 404);
+});
+
+test("POST /calls streams the call back with its parameters and a token; GET /calls/:id follows it", async (t) => {
+  const { base, openai, calls, twilioClient } = await startCallsApi(t);
+  const res = await calls("", { body: { to: "+447700900123", pmpt: "tester", inst: "Be brief & kind", record: false } });
+  assert.equal(res.status, 201);
+  const placed = await res.json();
+  assert.equal(placed.id, "CA1");
+  assert.equal(placed.status, "queued");
+  assert.equal(placed.from, "+441110000000");
+
+  const { twiml, to, from } = await twilioClient.waitFor("createCall");
+  assert.deepEqual([to, from], ["+447700900123", "+441110000000"]);
+  assert.match(twiml, /^<Response><Connect><Stream url="wss:\/\/bridge\.example\.com\/stream">.*<\/Stream><\/Connect><\/Response>$/);
+  const params = Object.fromEntries([...twiml.matchAll(/<Parameter name="([^"]+)" value="([^"]*)"\/>/g)].map((m) => [m[1], m[2]]));
+  assert.deepEqual(Object.keys(params).sort(), ["inst", "pmpt", "record", "token"]);
+  assert.equal(params.inst, "Be brief &amp; kind");
+  assert.equal(params.record, "false");
+  assert.equal(verifyStreamToken("stream-secret", params.token).sub, "outbound");
+
+  // Before the stream: the carrier's status
+  twilioClient.statuses.CA1 = "ringing";
+  assert.equal((await (await calls("/CA1")).json()).status, "ringing");
+  assert.equal((await twilioClient.waitFor("fetchCall")).callSid, "CA1");
+
+  // Answered: Twilio opens the stream with the <Parameter>s, token included
+  const caller = await connectTwilio(`${base.replace("http", "ws")}/stream`);
+  caller.start({ callSid: "CA1", params: { ...params, inst: "Be brief & kind" } });
+  await openai.waitFor("response.create", (m) => m.response?.instructions === GREETING);
+  openai.send({ type: "conversation.item.input_audio_transcription.completed", item_id: "item_q", transcript: "Who is this?" });
+  openai.speak({ itemId: "item_a", text: "The test desk." });
+  await caller.waitFor("mark", (e) => e.mark.name.endsWith("response-end"), 5000);
+
+  const live = await (await calls("/CA1")).json();
+  assert.equal(live.status, "in-progress");
+  assert.deepEqual(live.transcript.turns.map((x) => [x.role, x.text]), [["caller", "Who is this?"], ["assistant", "The test desk."]]);
+  caller.stop();
+  await caller.closed;
+  await new Promise((r) => setTimeout(r, 20));
+  assert.equal((await (await calls("/CA1")).json()).endReason, "stop");
+});
+
+test("POST /calls answers 502 when Twilio refuses, and 503 while draining", async (t) => {
+  const { bridge, calls, twilioClient } = await startCallsApi(t);
+  twilioClient.fail.createCall = new Error("Twilio HTTP 400: unverified number");
+  const failed = await calls("", { body: { to: "+447700900123" } });
+  assert.equal(failed.status, 502);
+  assert.match((await failed.json()).error, /unverified number/);
+
+  delete twilioClient.fail.createCall;
+  await bridge.drain({ deadlineMs: 100 });
+  const refused = await calls("", { body: { to: "+447700900123" } });
+  assert.equal(refused.status, 503);
+  assert.match((await refused.json()).error, /shutting down/);
+  assert.equal(twilioClient.requests.length, 1);
+});
+
+test("lists live calls for admins and streams the transcript over SSE", async (t) => {
+  const { base, openai, caller } = await startCall(t);
+  assert.equal((await fetch(`${base}/admin/calls`)).status, 401);
+  const { calls } = await (await admin(base, "/admin/calls")).json();
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].persona, "tester");
+  assert.equal(calls[0].callSid, "CAtest");
+  assert.equal(calls[0].state, "live");
+
+  const sse = await admin(base, "/admin/calls/CAtest/transcript");
+  assert.match(sse.headers.get("content-type"), /text\/event-stream/);
+  const reader = sse.body.getReader();
+  assert.match(await readUntil(reader, /event: call/), /"persona":"tester"/);
+
+  openai.speak({ itemId: "item_live", text: "How can I help?" });
+  assert.match(await readUntil(reader, /How can I help\?/), /"role":"assistant"/);
+  caller.stop();
+  assert.match(await readUntil(reader, /event: end/), /"reason":"stop"/);
+  await caller.closed;
+  await new Promise((r) => setTimeout(r, 20));
+  assert.equal((await admin(base, "/admin/calls/CAtest")).status, 404);
+});
+
+test("supervisor instructions, injected lines and force-end reach the call", async (t) => {
+  const { base, openai, caller, metrics } = await startCall(t);
+  const id = (await (await admin(base, "/admin/calls")).json()).calls[0].id;
+
+  assert.equal((await admin(base, `/admin/calls/${id}/instructions`, {})).status, 400);
+  assert.equal((await admin(base, `/admin/calls/${id}/instructions`, { instructions: "Offer the spring discount." })).status, 200);
+  const update = await openai.waitFor("session.update", (m) => /SUPERVISOR[^]*spring discount/.test(m.session.instructions));
+  assert.match(update.session.instructions, /You are the test desk\./);
+
+  assert.equal((await admin(base, `/admin/calls/${id}/say`, { text: "Please hold for one moment." })).status, 200);
+  await openai.waitFor("response.create", spoken(openai, /Please hold for one moment\./));
+
+  assert.equal((await admin(base, `/admin/calls/${id}/end`, {})).status, 200);
+  await caller.closed;
+  assert.equal((await admin(base, `/admin/calls/${id}/end`, {})).status, 404);
+  const text = await metrics();
+  assert.match(text, /bridge_calls_total\{transport="twilio",reason="supervisor"\} 1/);
+  assert.match(text, /bridge_supervisor_actions_total\{action="say"\} 1/);
+});
+
+test("simulates a scenario in text: greeting, a real tool call and per-turn expectations", async (t) => {
+  // Replies in order: greeting, a knowledge base lookup, its answer, a goodbye
+  const replies = [
+    { text: GREETING },
+    { toolCall: { name: "search_knowledge_base", args: { query: "opening hours" } } },
+    { text: "We are open from 9am to 5pm, Monday to Friday." },
+    { text: "Bye now." }
+  ];
+  const { base, openai, metrics } = await startBridge(t, {
+    script: { "response.create": (m, mock) => mock.textResponse(replies.shift()) }
+  });
+
+  const bad = await admin(base, "/admin/simulate", { turns: [{ expect: {} }] });
+  assert.equal(bad.status, 400);
+
+  const res = await admin(base, "/admin/simulate", {
+    name: "opening hours",
+    pmpt: "tester",
+    turns: [
+      { caller: "When are you open?", expect: { reply: "9am", tools: ["search_knowledge_base"] } },
+      { caller: "Thanks, goodbye.", expect: { reply: "goodbye", tools: [] } }
+    ]
+  });
+  assert.equal(res.status, 200);
+  const result = await res.json();
+  const update = await openai.waitFor("session.update");
+  assert.deepEqual(update.session.modalities, ["text"]);
+  assert.match(update.session.instructions, /You are the test desk\./);
+
+  assert.equal(result.greeting, GREETING);
+  assert.equal(result.passed, false);
+  const [hours, bye] = result.turns;
+  assert.deepEqual(hours.failures, []);
+  assert.equal(hours.tools[0].name, "search_knowledge_base");
+  assert.match(JSON.stringify(hours.tools[0].result), /9am to 5pm/); // the real tool ran against the test KB
+  assert.deepEqual(bye.failures, ["reply does not match /goodbye/i"]);
+  const roles = result.transcript.turns.map((x) => x.role);
+  assert.deepEqual(roles.filter((r) => r !== "tool"), ["assistant", "caller", "assistant", "caller", "assistant"]);
+  assert.equal(roles.filter((r) => r === "tool").length, 1);
+  assert.match(await metrics(), /bridge_simulations_total\{outcome="failed"\} 1/);
+});
+
+test("a simulation fails fast when the Realtime socket drops between turns", async (t) => {
+  const { base } = await startBridge(t, {
+    script: {
+      // Greet, then hang up: the first turn's response.create goes to a closed socket
+      "response.create": (m, mock) => {
+        mock.textResponse({ text: GREETING });
+        mock.sockets[0].ws.close();
+      }
+    }
+  });
+  const started = Date.now();
+  const res = await admin(base, "/admin/simulate", { pmpt: "tester", turns: [{ caller: "Hello?" }] });
+  assert.equal(res.status, 502);
+  assert.match((await res.json()).error, /realtime connection closed/);
+  assert.ok(Date.now() - started < 5000, "no wait for the model timeout");
+});
+
+test("draining refuses new calls, then says goodbye and closes calls left at the deadline", async (t) => {
+  const { bridge, base, openai, caller, metrics } = await startCall(t, {
+    script: alwaysSpeak,
+    persona: { no_input: { timeout_s: 0 }, shutdown_goodbye: "Closing now, goodbye." }
+  });
+  let drained = false;
+  const done = bridge.drain({ deadlineMs: 300 }).then(() => { drained = true; });
+
+  const health = await fetch(`${base}/healthz`);
+  assert.equal(health.status, 503);
+  assert.equal((await health.json()).status, "draining");
+  await assert.rejects(connectTwilio(base.replace("http", "ws") + "/stream"), /503/);
+  assert.equal(drained, false); // the live call keeps going until the deadline
+
+  await openai.waitFor("response.create", spoken(openai, /Closing now, goodbye\./), 5000);
+  const { code } = await caller.closed;
+  assert.equal(code, 1001);
+  await openai.waitClosed();
+  await done;
+  const text = await metrics();
+  assert.match(text, /bridge_calls_total\{transport="twilio",reason="shutdown"\} 1/);
+  assert.match(text, /bridge_stream_rejections_total\{reason="draining"\} 1/);
+});
+
+test("draining finishes as soon as the last call ends", async (t) => {
+  const { bridge, openai, caller, metrics } = await startCall(t);
+  const done = bridge.drain({ deadlineMs: 60000 });
+  caller.stop();
+  await done;
+  await openai.waitClosed();
+  assert.match(await metrics(), /bridge_calls_total\{transport="twilio",reason="stop"\} 1/);
+});
+
+test("draining waits for the call-end webhook and the recording before resolving", async (t) => {
+  const receiver = await startWebhookReceiver({ delayMs: 200 });
+  t.after(() => receiver.close());
+
+  const { bridge, caller } = await startCall(t, { webhookUrl: receiver.url, persona: { record: true } });
+  const done = bridge.drain({ deadlineMs: 60000 });
+  caller.stop();
+  await done;
+  const { hooks } = receiver;
+  assert.equal(hooks.length, 1);
+  assert.equal(hooks[0].body.event, "call.ended");
+  assert.equal(hooks[0].body.reason, "stop");
+  const { recording } = hooks[0].body;
+  assert.ok(fs.existsSync(recording) && fs.existsSync(recording.replace(/\.wav$/, ".json")));
+  assert.deepEqual(fs.readdirSync(path.dirname(recording)).filter((f) => f.endsWith(".raw")), []);
+});
+
+test("posts the call-end webhook, signed with the webhook secret, and retries a 5xx", async (t) => {
+  const receiver = await startWebhookReceiver({ respond: (_, n) => (n === 1 ? 503 : 204) });
+  t.after(() => receiver.close());
+  const { openai, caller, metrics } = await startCall(t, { webhookUrl: receiver.url, webhookSecret: "hook-secret" });
+  openai.send({ type: "conversation.item.input_audio_transcription.completed", item_id: "item_q", transcript: "Are you open?" });
+  openai.speak({ itemId: "item_a", text: "Until five." });
+  await caller.waitFor("mark", (e) => e.mark.name.endsWith("response-end"), 5000);
+  const stoppedAt = Date.now();
+  caller.stop();
+
+  await receiver.waitFor(2, 5000); // one retry after the 503, about a second later
+  const [first, second] = receiver.hooks;
+  assert.equal(first.raw, second.raw);
+  assert.ok(Number(second.headers["x-bridge-timestamp"]) - Number(first.headers["x-bridge-timestamp"]) >= 900);
+  for (const { headers, raw } of receiver.hooks) {
+    assert.equal(headers["content-type"], "application/json");
+    const ts = headers["x-bridge-timestamp"];
+    assert.ok(Number(ts) >= stoppedAt);
+    const want = crypto.createHmac("sha256", "hook-secret").update(`${ts}.${raw}`).digest("hex");
+    assert.equal(headers["x-bridge-signature"], want);
+  }
+
+  const hook = first.body;
+  assert.equal(hook.event, "call.ended");
+  assert.equal(hook.reason, "stop");
+  assert.deepEqual([hook.callSid, hook.streamSid, hook.params.pmpt], ["CAtest", "MZtest", "tester"]);
+  assert.deepEqual(hook.turns.map((x) => [x.role, x.text]), [["caller", "Are you open?"], ["assistant", "Until five."]]);
+  assert.ok(hook.durationMs > 0 && hook.endedAt >= hook.startedAt);
+  assert.equal("recording" in hook, false);
+  await new Promise((r) => setTimeout(r, 20));
+  assert.doesNotMatch(await metrics(), /bridge_errors_total\{type="webhook"\}/);
+});
+
+test("\"stop\" ends the call: both sockets close and the call is counted", async (t) => {
+  const { openai, caller, metrics, health } = await startCall(t);
+  assert.equal((await health()).active_calls, 1);
+  caller.stop();
+  await openai.waitClosed();
+  await caller.closed;
+  await new Promise((r) => setTimeout(r, 20));
+  assert.equal((await health()).active_calls, 0);
+  assert.match(await metrics(), /bridge_calls_total\{transport="twilio",reason="stop"\} 1/);
+});
+
+test("a caller hang-up without \"stop\" closes the OpenAI session", async (t) => {
+  const { openai, caller, metrics, health } = await startCall(t);
+  await caller.close();
+  await openai.waitClosed();
+  await new Promise((r) => setTimeout(r, 20));
+  assert.equal((await health()).active_calls, 0);
+  assert.match(await metrics(), /bridge_calls_total\{transport="twilio",reason="socket_closed"\} 1/);
+});
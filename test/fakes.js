@@ -0,0 +1,263 @@
+// Test doubles for the bridge: a local OpenAI Realtime server, a scripted
+// Twilio Media Streams client, a bare client for the other carriers, a
+// stand-in for the Twilio REST client and a webhook receiver. All record what
+// they receive and can wait for a message matching a predicate.
+
+import http from "node:http";
+import WebSocket, { WebSocketServer } from "ws";
+
+function waiter(list, timeoutMs, what) {
+  const waits = new Set();
+  return {
+    push(item) {
+      list.push(item);
+      for (const w of waits) if (w.match(item)) { waits.delete(w); clearTimeout(w.timer); w.resolve(item); }
+    },
+    wait(match, ms = timeoutMs) {
+      const found = list.find(match);
+      if (found) return Promise.resolve(found);
+      return new Promise((resolve, reject) => {
+        const w = { match, resolve };
+        w.timer = setTimeout(() => { waits.delete(w); reject(new Error(`timed out waiting for ${what}`)); }, ms);
+        waits.add(w);
+      });
+    }
+  };
+}
+
+// 24 kHz PCM16 tone, base64 (what Realtime sends in audio deltas)
+export function pcm24k(ms, freqHz = 440, amp = 8000) {
+  const n = Math.round((24000 * ms) / 1000);
+  const buf = Buffer.alloc(n * 2);
+  for (let i = 0; i < n; i++) buf.writeInt16LE(Math.round(amp * Math.sin((2 * Math.PI * freqHz * i) / 24000)), i * 2);
+  return buf.toString("base64");
+}
+
+// Mock Realtime endpoint. `received` holds every client message (parsed);
+// `script` maps a message type to a handler (msg, mock) for canned replies.
+export async function startMockRealtime({ script = {}, timeoutMs = 3000 } = {}) {
+  let refusing = 0; // connection attempts still to answer with 503
+  const wss = new WebSocketServer({
+    port: 0,
+    host: "127.0.0.1",
+    verifyClient: (_info, cb) => (refusing > 0 ? (refusing--, cb(false, 503)) : cb(true))
+  });
+  await new Promise((r) => wss.once("listening", r));
+  const received = [];
+  const inbox = waiter(received, timeoutMs, "OpenAI message");
+  const sockets = [];
+  const closed = waiter([], timeoutMs, "OpenAI socket close");
+  let current = null;
+
+  const send = (msg) => current?.send(JSON.stringify(msg));
+
+  wss.on("connection", (ws, req) => {
+    current = ws;
+    sockets.push({ ws, headers: req.headers });
+    ws.on("message", (buf) => {
+      const msg = JSON.parse(buf.toString());
+      inbox.push(msg);
+      script[msg.type]?.(msg, mock);
+    });
+    ws.on("close", () => closed.push(ws));
+  });
+
+  const mock = {
+    url: `ws://127.0.0.1:${wss.address().port}/v1/realtime`,
+    received,
+    sockets,
+    send,
+    waitFor: (type, pred = () => true, ms) => inbox.wait((m) => m.type === type && pred(m), ms),
+    waitClosed: (ms) => closed.wait(() => true, ms),
+
+    // Cut the live socket as a network drop would, and refuse the next
+    // refuseNext connection attempts
+    drop({ refuseNext = 0 } = {}) {
+      refusing = refuseNext;
+      current?.terminate();
+    },
+
+    // One assistant turn: response.created, audio, transcript, response.done
+    speak({ itemId = "item_1", responseId = "resp_1", ms = 200, text = "Hello" } = {}) {
+      send({ type: "response.created", response: { id: responseId } });
+      send({ type: "response.audio.delta", item_id: itemId, delta: pcm24k(ms) });
+      send({ type: "response.audio.done", item_id: itemId });
+      send({ type: "response.audio_transcript.done", item_id: itemId, transcript: text });
+      send({ type: "response.done", response: { id: responseId } });
+    },
+
+    // A response that only calls a tool
+    callTool({ name, args = {}, callId = "call_1", responseId = "resp_tool" }) {
+      send({ type: "response.created", response: { id: responseId } });
+      send({
+        type: "response.output_item.done",
+        item: { type: "function_call", call_id: callId, name, arguments: JSON.stringify(args) }
+      });
+      send({ type: "response.done", response: { id: responseId } });
+    },
+
+    // A text-only response (simulation): one message, or one tool call, in response.done
+    textResponse({ text = "", toolCall = null, responseId = `resp_${received.length}` } = {}) {
+      const item = toolCall
+        ? { type: "function_call", call_id: `call_${received.length}`, name: toolCall.name, arguments: JSON.stringify(toolCall.args || {}) }
+        : { type: "message", id: `item_${received.length}`, role: "assistant", content: [{ type: "text", text }] };
+      send({ type: "response.created", response: { id: responseId } });
+      send({ type: "response.done", response: { id: responseId, status: "completed", output: [item] } });
+    },
+
+    close: () => new Promise((r) => {
+      for (const { ws } of sockets) ws.terminate();
+      wss.close(() => r());
+    })
+  };
+  return mock;
+}
+
+// Scripted Twilio Media Streams client. Marks are echoed back (as Twilio does
+// once playback reaches them) unless echoMarks is false.
+export async function connectTwilio(url, { echoMarks = true, timeoutMs = 3000 } = {}) {
+  const ws = new WebSocket(url, "audio");
+  const events = [];
+  const inbox = waiter(events, timeoutMs, "Twilio event");
+  let streamSid = "MZtest";
+
+  ws.on("message", (buf) => {
+    const msg = JSON.parse(buf.toString());
+    msg.at = Date.now();
+    inbox.push(msg);
+    if (msg.event === "mark" && echoMarks) {
+      ws.send(JSON.stringify({ event: "mark", streamSid, mark: msg.mark }));
+    }
+  });
+  const closed = new Promise((r) => ws.once("close", (code, reason) => r({ code, reason: String(reason) })));
+  await new Promise((resolve, reject) => {
+    ws.once("open", resolve);
+    ws.once("error", reject);
+  });
+  const send = (msg) => ws.send(JSON.stringify(msg));
+
+  return {
+    events,
+    closed,
+    media: () => events.filter((e) => e.event === "media"),
+    waitFor: (event, pred = () => true, ms) => inbox.wait((e) => e.event === event && pred(e), ms),
+
+    start({ callSid = "CAtest", params = {}, sid = streamSid } = {}) {
+      streamSid = sid;
+      send({ event: "connected", protocol: "Call", version: "1.0.0" });
+      send({
+        event: "start",
+        streamSid,
+        start: {
+          streamSid, callSid, accountSid: "ACtest", tracks: ["inbound"], customParameters: params,
+          mediaFormat: { encoding: "audio/x-mulaw", sampleRate: 8000, channels: 1 }
+        }
+      });
+    },
+
+    // 20 ms of μ-law (0xff = silence)
+    sendMedia(bytes = Buffer.alloc(160, 0xff)) {
+      send({ event: "media", streamSid, media: { track: "inbound", payload: Buffer.from(bytes).toString("base64") } });
+    },
+
+    // Key presses, as Twilio reports them
+    dtmf(keys) {
+      for (const digit of keys) send({ event: "dtmf", streamSid, dtmf: { track: "inbound_track", digit } });
+    },
+
+    stop() { send({ event: "stop", streamSid, stop: { callSid: "CAtest" } }); },
+    close() { ws.close(); return closed; }
+  };
+}
+
+// Bare carrier client (Telnyx, Vonage, browser): JSON text frames land in
+// `messages`, binary frames in `frames`; send() takes an object (sent as
+// JSON) or raw bytes (sent binary).
+export async function connectCarrier(url, { timeoutMs = 3000 } = {}) {
+  const ws = new WebSocket(url);
+  const messages = [];
+  const frames = [];
+  const inbox = waiter(messages, timeoutMs, "carrier message");
+  const audio = waiter(frames, timeoutMs, "carrier audio frame");
+
+  ws.on("message", (buf, isBinary) => {
+    if (isBinary) audio.push(Buffer.from(buf));
+    else inbox.push(JSON.parse(buf.toString()));
+  });
+  const closed = new Promise((r) => ws.once("close", (code, reason) => r({ code, reason: String(reason) })));
+  await new Promise((resolve, reject) => {
+    ws.once("open", resolve);
+    ws.once("error", reject);
+  });
+
+  return {
+    messages,
+    frames,
+    closed,
+    waitFor: (pred, ms) => inbox.wait(pred, ms),
+    waitForFrames: (n, ms) => audio.wait(() => frames.length >= n, ms),
+    send(msg) {
+      if (Buffer.isBuffer(msg)) ws.send(msg, { binary: true });
+      else ws.send(JSON.stringify(msg));
+    },
+    close() { ws.close(); return closed; }
+  };
+}
+
+// Stand-in for lib/twilio.js's REST client. Every call lands in `requests`
+// as { method, ...args, at }; createCall answers CA<n> sids, fetchCall reports
+// `statuses[sid]` (default "in-progress"), and `fail[method]` makes that
+// method reject with the given error.
+export function stubTwilioClient({ timeoutMs = 3000 } = {}) {
+  const requests = [];
+  const inbox = waiter(requests, timeoutMs, "Twilio API request");
+  const stub = {
+    configured: true,
+    requests,
+    statuses: {},
+    fail: {},
+    waitFor: (method, pred = () => true, ms) => inbox.wait((r) => r.method === method && pred(r), ms),
+
+    async createCall({ to, from, twiml, timeoutSec }) {
+      inbox.push({ method: "createCall", to, from, twiml, timeoutSec, at: Date.now() });
+      if (stub.fail.createCall) throw stub.fail.createCall;
+      return { sid: `CA${requests.length}`, status: "queued" };
+    },
+    async fetchCall(callSid) {
+      inbox.push({ method: "fetchCall", callSid, at: Date.now() });
+      if (stub.fail.fetchCall) throw stub.fail.fetchCall;
+      return { sid: callSid, status: stub.statuses[callSid] || "in-progress" };
+    },
+    async updateCall(callSid, { twiml }) {
+      inbox.push({ method: "updateCall", callSid, twiml, at: Date.now() });
+      if (stub.fail.updateCall) throw stub.fail.updateCall;
+      return { sid: callSid };
+    }
+  };
+  return stub;
+}
+
+// Local webhook endpoint. Each POST lands in `hooks` as { headers, raw, body }
+// and is answered with respond(hook, n) (an HTTP status; n counts from 1)
+// after delayMs.
+export async function startWebhookReceiver({ respond = () => 200, delayMs = 0, timeoutMs = 3000 } = {}) {
+  const hooks = [];
+  const inbox = waiter(hooks, timeoutMs, "webhook");
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (c) => { raw += c; });
+    req.on("end", () => setTimeout(() => {
+      const hook = { headers: req.headers, raw, body: JSON.parse(raw) };
+      inbox.push(hook);
+      res.statusCode = respond(hook, hooks.length);
+      res.end();
+    }, delayMs));
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    hooks,
+    waitFor: (n, ms) => inbox.wait(() => hooks.length >= n, ms),
+    close: () => new Promise((r) => server.close(() => r()))
+  };
+}
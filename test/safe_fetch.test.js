@@ -0,0 +1,88 @@
+// SSRF guard checks: private IPv4 literals, IPv6 forms that embed an IPv4
+// address, host names that resolve to loopback, and redirects to private
+// hosts. Local servers stand in for the web, let through by an isBlocked
+// that allows 127.0.0.1.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { fetchPublicPage, isPrivateAddress } from "../lib/safe_fetch.js";
+
+// HTTP server on a free loopback port; t.after closes it
+async function serve(t, handler) {
+  const server = http.createServer(handler);
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  t.after(() => new Promise((r) => server.close(r)));
+  return server.address().port;
+}
+
+// Everything private is blocked except the loopback address the test
+// servers use; allowFirstHop() lets it through for the first check only
+const allowLoopback = (ip) => ip !== "127.0.0.1" && isPrivateAddress(ip);
+function allowFirstHop() {
+  let used = false;
+  return (ip) => {
+    if (ip === "127.0.0.1" && !used) return !(used = true);
+    return isPrivateAddress(ip);
+  };
+}
+
+test("private, loopback and reserved IPv4 addresses are blocked", () => {
+  for (const ip of ["127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0", "224.0.0.1"]) {
+    assert.equal(isPrivateAddress(ip), true, ip);
+  }
+  for (const ip of ["8.8.8.8", "1.1.1.1", "172.32.0.1"]) assert.equal(isPrivateAddress(ip), false, ip);
+  assert.equal(isPrivateAddress("not-an-ip"), true);
+});
+
+test("IPv6 addresses carrying a private IPv4 address are blocked", () => {
+  const blocked = [
+    "::1", "::", "fe80::1", "fd00::1",
+    "::ffff:127.0.0.1", "::ffff:7f00:1", "::ffff:10.0.0.1", // mapped
+    "::127.0.0.1", "::7f00:1", "::c0a8:101",                // IPv4-compatible
+    "64:ff9b::10.0.0.1",                                    // NAT64
+    "2002:7f00:0001::", "2002:7f00:1::1", "2002:c0a8:0101:1::5", "2002:a9fe:a9fe::" // 6to4
+  ];
+  for (const ip of blocked) assert.equal(isPrivateAddress(ip), true, ip);
+  for (const ip of ["2606:4700:4700::1111", "::ffff:8.8.8.8", "2002:0808:0808::1", "64:ff9b::8.8.8.8"]) {
+    assert.equal(isPrivateAddress(ip), false, ip);
+  }
+});
+
+test("refuses private address literals before connecting", async () => {
+  await assert.rejects(fetchPublicPage("http://127.0.0.1/"), /Blocked: 127\.0\.0\.1 is a private address/);
+  await assert.rejects(fetchPublicPage("http://[::ffff:127.0.0.1]/"), /Blocked/);
+  await assert.rejects(fetchPublicPage("http://[2002:7f00:1::]/"), /Blocked/);
+  await assert.rejects(fetchPublicPage("http://169.254.169.254/latest/meta-data/"), /Blocked/);
+});
+
+test("refuses a host name that resolves to loopback", async (t) => {
+  let hits = 0;
+  const port = await serve(t, (_, res) => { hits++; res.end("internal"); });
+  await assert.rejects(fetchPublicPage(`http://localhost:${port}/`), /Blocked: localhost resolves to a private address/);
+  assert.equal(hits, 0);
+});
+
+test("re-checks every redirect hop and refuses one to a private host", async (t) => {
+  let internalHits = 0;
+  const internal = await serve(t, (_, res) => { internalHits++; res.end("secret"); });
+  const port = await serve(t, (req, res) => {
+    const to = {
+      "/to-literal": "http://10.0.0.1/admin",
+      "/to-name": `http://localhost:${internal}/`,
+      "/ok": "/page"
+    }[req.url];
+    if (to) res.writeHead(302, { Location: to }).end();
+    else res.writeHead(200, { "Content-Type": "text/plain" }).end("public page");
+  });
+  const base = `http://127.0.0.1:${port}`;
+
+  const page = await fetchPublicPage(`${base}/ok`, { isBlocked: allowLoopback });
+  assert.equal(page.text, "public page");
+  assert.equal(page.url, `${base}/page`);
+
+  await assert.rejects(fetchPublicPage(`${base}/to-literal`, { isBlocked: allowLoopback }), /Blocked: 10\.0\.0\.1/);
+  await assert.rejects(fetchPublicPage(`${base}/to-name`, { isBlocked: allowFirstHop() }),
+    /Blocked: localhost resolves to a private address/);
+  assert.equal(internalHits, 0);
+});
@@ -0,0 +1,124 @@
+// /stream admission checks: Twilio signatures over the URLs Twilio may have
+// signed, stream token signing / expiry, what authenticate() decides per
+// credential, and the overall and per-source session limits.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import {
+  createStreamGuard, signStreamToken, verifyStreamToken, twilioSignatureValid
+} from "../lib/stream_auth.js";
+
+const AUTH_TOKEN = "twilio-auth-token";
+const SECRET = "stream-secret";
+
+const twilioSign = (url, token = AUTH_TOKEN) => crypto.createHmac("sha1", token).update(url).digest("base64");
+
+// Just enough of an upgrade request for the guard
+function upgradeReq(url = "/stream", headers = {}, remoteAddress = "54.172.60.1") {
+  return { url, headers: { host: "bridge.example.com", ...headers }, socket: { remoteAddress } };
+}
+
+test("Twilio signatures are checked over the stream URL", () => {
+  const url = "wss://bridge.example.com/stream";
+  assert.equal(twilioSignatureValid(AUTH_TOKEN, twilioSign(url), url), true);
+  assert.equal(twilioSignatureValid(AUTH_TOKEN, twilioSign(url, "other-token"), url), false);
+  assert.equal(twilioSignatureValid(AUTH_TOKEN, twilioSign(url), `${url}?x=1`), false);
+  assert.equal(twilioSignatureValid("", twilioSign(url), url), false);
+  assert.equal(twilioSignatureValid(AUTH_TOKEN, "", url), false);
+});
+
+test("authenticate accepts a Twilio signature over the Host, public base or explicit-port URL", () => {
+  const guard = createStreamGuard({ twilioAuthToken: AUTH_TOKEN, publicBaseUrl: "https://calls.example.org" });
+  for (const signed of [
+    "wss://bridge.example.com/stream",
+    "wss://bridge.example.com:443/stream",
+    "wss://calls.example.org/stream"
+  ]) {
+    const v = guard.authenticate(upgradeReq("/stream", { "x-twilio-signature": twilioSign(signed) }), "twilio");
+    assert.deepEqual(v, { ok: true, method: "twilio-signature" }, signed);
+  }
+  const bad = guard.authenticate(upgradeReq("/stream", { "x-twilio-signature": twilioSign("wss://evil.example/stream") }), "twilio");
+  assert.deepEqual(bad, { ok: false, reason: "bad Twilio signature" });
+
+  // A Host that isn't a URL authority is a bad signature, not a throw
+  const garbled = guard.authenticate(upgradeReq("/stream", { host: "[", "x-twilio-signature": twilioSign("wss://[/stream") }), "twilio");
+  assert.deepEqual(garbled, { ok: false, reason: "bad Twilio signature" });
+});
+
+test("stream tokens verify until they expire, and only with their secret", () => {
+  const token = signStreamToken(SECRET, { ttlSec: 60, sub: "browser-demo" });
+  assert.deepEqual(verifyStreamToken(SECRET, token), { ok: true, sub: "browser-demo" });
+  assert.deepEqual(verifyStreamToken("other-secret", token), { ok: false, reason: "bad token signature" });
+
+  const [body, sig] = token.split(".");
+  const forged = Buffer.from(JSON.stringify({ exp: Math.floor(Date.now() / 1000) + 86400, sub: "x" })).toString("base64url");
+  assert.equal(verifyStreamToken(SECRET, `${forged}.${sig}`).reason, "bad token signature");
+  assert.equal(verifyStreamToken(SECRET, `${body}.${sig}.extra`).reason, "malformed token");
+  assert.equal(verifyStreamToken(SECRET, "").reason, "no token");
+
+  const expired = signStreamToken(SECRET, { ttlSec: -1 });
+  assert.deepEqual(verifyStreamToken(SECRET, expired), { ok: false, reason: "token expired" });
+});
+
+test("authenticate: ?token=, pending Twilio start tokens, no credentials, bad URLs and enforcement off", () => {
+  const guard = createStreamGuard({ twilioAuthToken: AUTH_TOKEN, tokenSecret: SECRET });
+  const token = signStreamToken(SECRET, { sub: "browser" });
+  assert.deepEqual(guard.authenticate(upgradeReq(`/stream/browser?token=${token}`), "browser"),
+    { ok: true, method: "token", sub: "browser" });
+  assert.deepEqual(guard.authenticate(upgradeReq("/stream/browser?token=nope"), "browser"),
+    { ok: false, reason: "malformed token" });
+  assert.deepEqual(guard.authenticate(upgradeReq("/stream"), "twilio"), { ok: true, pending: true });
+  assert.deepEqual(guard.authenticate(upgradeReq("/stream/browser"), "browser"), { ok: false, reason: "no credentials" });
+  assert.deepEqual(guard.authenticate(upgradeReq("//["), "twilio"), { ok: false, reason: "malformed URL" });
+  assert.equal(guard.authenticateStart({ token }).ok, true);
+  assert.equal(guard.authenticateStart({}).ok, false);
+
+  const open = createStreamGuard({ enforce: false });
+  assert.deepEqual(open.authenticate(upgradeReq("/stream/browser"), "browser"), { ok: true, method: "none" });
+});
+
+test("admit enforces the overall limit and frees slots on release", () => {
+  const guard = createStreamGuard({ maxCalls: 2 });
+  const twilio = { ok: true, method: "twilio-signature" };
+  assert.equal(guard.admit("a", twilio), null);
+  assert.equal(guard.admit("b", twilio), null);
+  assert.equal(guard.admit("c", twilio), "server at capacity");
+  guard.release("a", twilio);
+  assert.equal(guard.admit("c", twilio), null);
+});
+
+test("pending sessions hold no slot until their start token is admitted", () => {
+  const guard = createStreamGuard({ maxCalls: 1, maxPerSource: 1 });
+  const pending = { ok: true, pending: true };
+  for (let i = 0; i < 5; i++) assert.equal(guard.admit("54.172.60.1", pending), null);
+  assert.equal(guard.admit("10.0.0.1", { ok: true, method: "token" }), null);
+  assert.equal(guard.admit("54.172.60.1", { ok: true, method: "token" }), "server at capacity");
+  guard.release("54.172.60.1", pending); // a pending stream that gave up frees nothing
+  assert.equal(guard.admit("54.172.60.2", { ok: true, method: "twilio-signature" }), "server at capacity");
+});
+
+test("the per-source limit is off by default and never counts Twilio-signed streams", () => {
+  const twilio = { ok: true, method: "twilio-signature" };
+  const token = { ok: true, method: "token" };
+  const unlimited = createStreamGuard();
+  for (let i = 0; i < 20; i++) assert.equal(unlimited.admit("10.0.0.1", token), null);
+
+  const guard = createStreamGuard({ maxPerSource: 2 });
+  assert.equal(guard.admit("10.0.0.1", token), null);
+  assert.equal(guard.admit("10.0.0.1", token), null);
+  assert.equal(guard.admit("10.0.0.1", token), "too many sessions from this source");
+  assert.equal(guard.admit("10.0.0.2", token), null);
+  // Twilio's shared egress (or our proxy) is not one client
+  for (let i = 0; i < 5; i++) assert.equal(guard.admit("10.0.0.1", twilio), null);
+  guard.release("10.0.0.1", twilio);
+  assert.equal(guard.admit("10.0.0.1", token), "too many sessions from this source");
+  guard.release("10.0.0.1", token);
+  assert.equal(guard.admit("10.0.0.1", token), null);
+});
+
+test("sourceOf uses X-Forwarded-For only behind a trusted proxy", () => {
+  const req = upgradeReq("/stream", { "x-forwarded-for": "203.0.113.9, 10.0.0.5" }, "10.0.0.5");
+  assert.equal(createStreamGuard().sourceOf(req), "10.0.0.5");
+  assert.equal(createStreamGuard({ trustProxy: true }).sourceOf(req), "203.0.113.9");
+});
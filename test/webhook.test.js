@@ -0,0 +1,60 @@
+// Webhook delivery: the HMAC-SHA256 signature over `${timestamp}.${body}`,
+// and which failures are retried (5xx, 429, no connection) and which aren't.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { postJsonWebhook, signPayload } from "../lib/webhook.js";
+import { startWebhookReceiver } from "./fakes.js";
+
+const SECRET = "hook-secret";
+
+async function receiver(t, respond) {
+  const r = await startWebhookReceiver({ respond });
+  t.after(() => r.close());
+  return r;
+}
+
+test("signPayload is HMAC-SHA256 over timestamp.body, in hex", () => {
+  const want = crypto.createHmac("sha256", SECRET).update("1700000000000.{\"a\":1}").digest("hex");
+  assert.equal(signPayload(SECRET, "1700000000000", "{\"a\":1}"), want);
+});
+
+test("posts the JSON body with a timestamp, signed only when there is a secret", async (t) => {
+  const { url, hooks } = await receiver(t);
+  assert.deepEqual(await postJsonWebhook(url, { event: "call.ended" }, { secret: SECRET }), { ok: true, status: 200, attempts: 1 });
+  await postJsonWebhook(url, { event: "call.ended" });
+
+  const [signed, unsigned] = hooks;
+  assert.deepEqual(signed.body, { event: "call.ended" });
+  const ts = signed.headers["x-bridge-timestamp"];
+  assert.equal(signed.headers["x-bridge-signature"], signPayload(SECRET, ts, signed.raw));
+  assert.ok(unsigned.headers["x-bridge-timestamp"]);
+  assert.equal(unsigned.headers["x-bridge-signature"], undefined);
+});
+
+test("retries 5xx and 429 with backoff until one gets through", async (t) => {
+  const statuses = [500, 429, 200];
+  const { url, hooks } = await receiver(t, (_, n) => statuses[n - 1]);
+  const r = await postJsonWebhook(url, { n: 1 }, { secret: SECRET, backoffMs: 1 });
+  assert.deepEqual(r, { ok: true, status: 200, attempts: 3 });
+  assert.equal(hooks.length, 3);
+  // Each attempt is signed afresh over its own timestamp
+  for (const h of hooks) assert.equal(h.headers["x-bridge-signature"], signPayload(SECRET, h.headers["x-bridge-timestamp"], h.raw));
+});
+
+test("gives up on other 4xx at once, and after the last retry otherwise", async (t) => {
+  const { url, hooks } = await receiver(t, () => 400);
+  assert.deepEqual(await postJsonWebhook(url, {}, { backoffMs: 1 }), { ok: false, error: "HTTP 400", attempts: 1 });
+  assert.equal(hooks.length, 1);
+
+  const down = await receiver(t, () => 503);
+  assert.deepEqual(await postJsonWebhook(down.url, {}, { retries: 2, backoffMs: 1 }), { ok: false, error: "HTTP 503", attempts: 3 });
+
+  // Nothing listening: connection errors are retried too
+  const closed = await receiver(t);
+  await closed.close();
+  const r = await postJsonWebhook(closed.url, {}, { retries: 1, backoffMs: 1 });
+  assert.equal(r.ok, false);
+  assert.equal(r.attempts, 2);
+});